@@ -9,6 +9,7 @@ class TNTComprehensiveQARunner {
         this.overallResults = {
             platformDetection: null,
             rateCalculation: null,
+            pricingEngine: null,
             securityValidation: null,
             integrationReadiness: null,
             performanceAnalysis: null,
@@ -33,6 +34,7 @@ class TNTComprehensiveQARunner {
             // Run all test suites
             await this.executePlatformDetectionTests();
             await this.executeRateCalculationTests();
+            await this.executePricingEngineTests();
             await this.executeSecurityValidationTests();
             await this.executeIntegrationTests();
             await this.executePerformanceTests();
@@ -64,6 +66,7 @@ class TNTComprehensiveQARunner {
             this.testSuites = {
                 platformDetection: new PlatformDetectionTester(),
                 rateCalculation: new RateCalculationTester(),
+                pricingEngine: new PricingEngineTester(),
                 securityValidation: new SecurityValidationTester()
             };
             
@@ -140,6 +143,42 @@ class TNTComprehensiveQARunner {
         }
     }
 
+    /**
+     * Execute pricing engine validation (quotes, rate cards, bookings, saved quotes and ledgers)
+     */
+    async executePricingEngineTests() {
+        console.log('\n🧮 Running Pricing Engine Tests...');
+        
+        try {
+            this.overallResults.pricingEngine = await this.testSuites.pricingEngine.runAllTests();
+            
+            const result = this.overallResults.pricingEngine;
+            console.log(`   ✓ Passed: ${result.passedTests}/${result.totalTests}`);
+            console.log(`   ✓ Status: ${result.deploymentReady ? 'PASS' : 'FAIL'}`);
+            
+            this.criticalFindings.push(...result.pricingDiscrepancies.map(discrepancy => ({
+                category: 'Pricing Engine',
+                severity: 'HIGH',
+                description: `${discrepancy.test}: ${discrepancy.case} (expected ${discrepancy.expected}, got ${discrepancy.actual})`,
+                impact: 'Incorrect pricing could result in revenue loss or customer disputes'
+            })));
+            this.criticalFindings.push(...result.criticalIssues.map(issue => ({
+                category: 'Pricing Engine',
+                severity: issue.severity,
+                description: `${issue.test}: ${issue.issue}`,
+                impact: 'Pricing engine checks could not run'
+            })));
+        } catch (error) {
+            console.error('❌ Pricing engine tests failed:', error);
+            this.criticalFindings.push({
+                category: 'Pricing Engine',
+                severity: 'CRITICAL',
+                description: 'Pricing engine test suite failed to execute',
+                impact: 'Cannot validate quotes, rate cards and bookings'
+            });
+        }
+    }
+
     /**
      * Execute security validation
      */
@@ -451,6 +490,7 @@ class TNTComprehensiveQARunner {
             testingSummary: {
                 platformDetection: this.overallResults.platformDetection?.overallStatus || 'NOT_TESTED',
                 rateCalculation: this.overallResults.rateCalculation?.overallStatus || 'NOT_TESTED',
+                pricingEngine: this.overallResults.pricingEngine ? (this.overallResults.pricingEngine.deploymentReady ? 'PASS' : 'FAIL') : 'NOT_TESTED',
                 security: this.overallResults.securityValidation?.overallStatus || 'NOT_TESTED',
                 performance: this.overallResults.performanceAnalysis?.grade || 'NOT_TESTED',
                 accessibility: this.overallResults.accessibilityCompliance?.wcagScore || 'NOT_TESTED'
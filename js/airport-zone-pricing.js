@@ -1,138 +1,62 @@
 /**
  * TNT Airport Zone Pricing Data
- * Flat rates based on distance: pickup zone → airport → back to HQ
+ * Flat rates based on distance: pickup zone → airport → back to HQ.
+ * Origins and destinations are typed locations (zone or airport); each route is
+ * stored once and priced the same in either direction.
  */
 
 const AirportZonePricing = {
-    // Zone-based airport pricing structure
-    zones: {
-        'central-virginia': 'Central Virginia',
-        'prince-george': 'Prince George', 
-        'norfolk': 'Norfolk',
-        'charlottesville': 'Charlottesville'
-    },
-    
-    airports: {
-        'ric': 'Richmond International Airport',
-        'dca': 'Ronald Reagan National Airport', 
-        'iad': 'Washington Dulles International Airport',
-        'bwi': 'Baltimore/Washington International Airport',
-        'cho': 'Charlottesville Albemarle Airport'
-    },
-    
-    // Flat rates by vehicle type and route
-    rates: {
-        'sedan': { // Lincoln Aviator
-            'central-virginia': {
-                'ric': 105,
-                'dca': 450,
-                'iad': 460,
-                'bwi': 657,
-                'cho': 333
-            },
-            'prince-george': {
-                'ric': 105,
-                'dca': 450,
-                'iad': 460,
-                'bwi': 657
-            },
-            'norfolk': {
-                'ric': 105, // Hourly rate converted to flat
-                'cho': 333  // Hourly rate converted to flat
-            },
-            'charlottesville': {
-                'central-virginia': 333,
-                'norfolk': 333
-            }
-        },
-        
-        'transit': { // Ford Transit 15 Pax
-            'central-virginia': {
-                'ric': 175,
-                'dca': 700,
-                'iad': 710,
-                'bwi': 854,
-                'cho': 525
-            },
-            'prince-george': {
-                'ric': 175,
-                'dca': 700,
-                'iad': 710,
-                'bwi': 854
-            },
-            'norfolk': {
-                'ric': 175 // Hourly rate converted to flat
-            },
-            'charlottesville': {
-                'central-virginia': 525
-            }
-        },
-        
-        'sprinter-limo': { // Mercedes Limo Sprinter
-            'central-virginia': {
-                'ric': 194,
-                'dca': 780,
-                'iad': 790,
-                'bwi': 910,
-                'cho': 575
-            },
-            'prince-george': {
-                'ric': 194,
-                'dca': 780,
-                'iad': 790,
-                'bwi': 910
-            },
-            'norfolk': {
-                'ric': 194 // Hourly rate converted to flat
-            },
-            'charlottesville': {
-                'central-virginia': 575
-            }
-        },
-        
-        'limo-bus': { // Limo Bus
-            'central-virginia': {
-                'ric': 225,
-                'dca': 1020,
-                'iad': 1045,
-                'bwi': 1265,
-                'cho': 624
-            },
-            'prince-george': {
-                'ric': 225,
-                'dca': 1020,
-                'iad': 1045,
-                'bwi': 1265
-            },
-            'norfolk': {
-                'ric': 225 // Hourly rate converted to flat
-            },
-            'charlottesville': {
-                'central-virginia': 624
-            }
-        }
-    },
-    
-    // Vehicle name mapping
-    vehicleNames: {
-        'sedan': 'Lincoln Aviator',
-        'transit': 'Ford Transit (15 passengers)',
-        'sprinter-limo': 'Mercedes Sprinter Limousine',
-        'limo-bus': 'Executive Limo Bus'
+    // Vehicle names (browser global, or required when running under Node.js)
+    fleet: typeof FleetCatalog !== 'undefined' ? FleetCatalog : require('./fleet-catalog.js'),
+
+    // Zone and airport tables, all supplied by the rate card's airportZones (see docs/RATE-CARD-SCHEMA.md);
+    // empty until RateCard applies one
+
+    // Pickup zone names by key
+    zones: {},
+
+    // Airport names by code
+    airports: {},
+
+    // Flat one-way rates by vehicle type: rates[vehicle][location][location]
+    rates: {},
+
+    // Where each zone is, for resolving a pickup address to a zone:
+    // ZIP codes or ZIP prefixes, city/county names, and a [lat, lng] boundary polygon
+    zoneAreas: {},
+
+    // Airport pickups: optional meet-and-greet (driver inside with a name sign) and wait time
+    // past the free grace period, billed at the vehicle's hourly rate in 15-minute increments.
+    // Larger airports get a longer domestic grace period for the walk to baggage claim.
+    pickupFees: null,
+
+    // Tolls and parking paid on each trip to or from an airport, already included in the flat rate
+    // and itemized for receipts. type is 'toll' or 'parking'; zones limits a cost to routes from
+    // those zones (tolls on the way up I-95), otherwise it applies to every route to the airport.
+    routeCosts: {},
+
+    /**
+     * Zone or airport for a location key: { key, type: 'zone' | 'airport', name }
+     */
+    getLocation: function(key) {
+        if (this.zones[key]) return { key: key, type: 'zone', name: this.zones[key] };
+        if (this.airports[key]) return { key: key, type: 'airport', name: this.airports[key] };
+        return null;
     },
-    
+
     /**
-     * Get airport rate for specific zone and vehicle
+     * One-way rate between two locations, in either direction
      */
-    getRate: function(vehicleType, zone, airport) {
+    getRate: function(vehicleType, origin, destination) {
         try {
-            return this.rates[vehicleType]?.[zone]?.[airport] || null;
+            const vehicleRates = this.rates[vehicleType];
+            return vehicleRates?.[origin]?.[destination] || vehicleRates?.[destination]?.[origin] || null;
         } catch (error) {
             console.error('Error getting rate:', error);
             return null;
         }
     },
-    
+
     /**
      * Get all available airports for a zone and vehicle
      */
@@ -162,62 +86,144 @@ const AirportZonePricing = {
     /**
      * Validate if a route exists
      */
-    validateRoute: function(vehicleType, zone, airport) {
-        const rate = this.getRate(vehicleType, zone, airport);
+    validateRoute: function(vehicleType, origin, destination) {
+        const rate = this.getRate(vehicleType, origin, destination);
         return rate !== null && rate > 0;
     },
     
     /**
-     * Get route details including rate and estimated hours
+     * Itinerary for a route: the outbound leg, plus the return leg for round trips.
+     * options: { roundTrip, returnLegShare (share of the one-way rate billed for the return leg),
+     *            meetAndGreet, waitMinutes, international, waitRatePerHour,
+     *            serviceDate, pickupTime, returnPickupTime ('HH:MM' for traffic; unknown times give a wider range) }
      */
-    getRouteDetails: function(vehicleType, zone, airport) {
-        const rate = this.getRate(vehicleType, zone, airport);
-        if (!rate) return null;
-        
-        // Estimated hours based on the data pattern
-        const estimatedHours = this.getEstimatedHours(zone, airport);
-        
+    getRouteDetails: function(vehicleType, origin, destination, options = {}) {
+        const rate = this.getRate(vehicleType, origin, destination);
+        const from = this.getLocation(origin);
+        const to = this.getLocation(destination);
+        if (!rate || !from || !to) return null;
+
+        const legs = [this.buildLeg(from, to, rate, 1, options, options.pickupTime)];
+        if (options.roundTrip) {
+            legs.push(this.buildLeg(to, from, rate, options.returnLegShare ?? 1, options, options.returnPickupTime));
+        }
+        const routed = legs.every(leg => leg.travelTime);
+        const totalHours = field => routed ? Math.round(legs.reduce((sum, leg) => sum + leg.travelTime[field], 0) * 100) / 100 : null;
+
         return {
-            vehicleType: this.vehicleNames[vehicleType],
-            zone: this.zones[zone],
-            airport: this.airports[airport],
+            vehicleType: this.fleet.getName(vehicleType),
+            origin: from,
+            destination: to,
+            legs: legs,
             rate: rate,
             rateType: 'Flat',
-            estimatedHours: estimatedHours,
-            route: `${this.zones[zone]} → ${this.airports[airport]}`
+            fare: legs.reduce((sum, leg) => sum + leg.rate, 0),
+            fees: legs.reduce((sum, leg) => sum + leg.fees.reduce((legSum, fee) => legSum + fee.amount, 0), 0),
+            costs: this.combineCosts(legs),
+            includedCosts: legs.reduce((sum, leg) => sum + leg.includedCosts, 0),
+            estimatedHours: totalHours('hours'),
+            hoursRange: routed ? { low: totalHours('lowHours'), high: totalHours('highHours') } : null,
+            driverHours: routed ? this.getDriverHours(legs, options) : null,
+            route: [from].concat(legs.map(leg => leg.to)).map(location => location.name).join(' → ')
         };
     },
-    
+
+    buildLeg: function(from, to, rate, share, options, pickupTime) {
+        const isPickup = from.type === 'airport';
+        const costs = this.getRouteCosts(from.key, to.key);
+        const travelTime = this.getTravelTime().estimateLeg(from.key, to.key, { serviceDate: options.serviceDate, serviceTime: pickupTime });
+        return {
+            from: from,
+            to: to,
+            type: isPickup ? 'airport-pickup' : to.type === 'airport' ? 'airport-dropoff' : 'transfer',
+            share: share,
+            rate: rate * share,
+            estimatedHours: travelTime ? travelTime.hours : null,
+            travelTime: travelTime,
+            fees: isPickup ? this.getPickupFees(options, from.key) : [],
+            costs: costs,
+            includedCosts: costs.reduce((sum, cost) => sum + cost.amount, 0)
+        };
+    },
+
+    /**
+     * Driver hours for the busiest leg. Each leg starts and ends at HQ, so each is its own shift;
+     * waiting at a pickup counts as on-duty time.
+     */
+    getDriverHours: function(legs, options) {
+        const checks = legs.map(leg => this.getTravelTime().checkDriverHours([leg.travelTime],
+            leg.type === 'airport-pickup' ? (parseFloat(options.waitMinutes) || 0) / 60 : 0));
+        return checks.find(check => !check.withinLimits) ||
+            checks.reduce((busiest, check) => (check.onDutyHours > busiest.onDutyHours ? check : busiest));
+    },
+
     /**
-     * Get estimated hours based on route distance
+     * Tolls and parking included in the rate for one trip between a zone and an airport, in either direction
      */
-    getEstimatedHours: function(zone, airport) {
-        // Estimated hours based on distance patterns from your data
-        const estimates = {
-            'central-virginia': {
-                'ric': 1,
-                'dca': 4,
-                'iad': 4.5,
-                'bwi': 7,
-                'cho': 2.5
-            },
-            'prince-george': {
-                'ric': 2,
-                'dca': 5,
-                'iad': 6.5,
-                'bwi': 8
-            },
-            'norfolk': {
-                'ric': 4,
-                'cho': 6.5
-            },
-            'charlottesville': {
-                'central-virginia': 2.5,
-                'norfolk': 6.5
+    getRouteCosts: function(origin, destination) {
+        const airport = this.airports[origin] ? origin : destination;
+        const zone = airport === origin ? destination : origin;
+        return (this.routeCosts[airport] || [])
+            .filter(cost => !cost.zones || cost.zones.includes(zone))
+            .map(cost => ({ item: cost.item, type: cost.type, amount: cost.amount }));
+    },
+
+    /**
+     * Route costs across all legs, one line per item with the number of trips it was paid on
+     */
+    combineCosts: function(legs) {
+        const combined = [];
+        legs.forEach(leg => leg.costs.forEach(cost => {
+            const line = combined.find(entry => entry.item === cost.item);
+            if (line) {
+                line.amount += cost.amount;
+                line.trips += 1;
+            } else {
+                combined.push(Object.assign({}, cost, { trips: 1 }));
             }
-        };
-        
-        return estimates[zone]?.[airport] || 4; // Default 4 hours
+        }));
+        return combined;
+    },
+
+    /**
+     * Free wait after the flight's scheduled arrival at an airport
+     */
+    getGraceMinutes: function(airport, international) {
+        if (international) return this.pickupFees.internationalGraceMinutes;
+        return this.pickupFees.airportGraceMinutes?.[airport] ?? this.pickupFees.graceMinutes;
+    },
+
+    /**
+     * Meet-and-greet and wait-time fees for one airport pickup
+     */
+    getPickupFees: function(options, airport) {
+        const fees = [];
+        if (options.meetAndGreet) {
+            fees.push({ item: 'Meet & Greet', amount: this.pickupFees.meetAndGreet });
+        }
+
+        const graceMinutes = this.getGraceMinutes(airport, options.international);
+        const increment = this.pickupFees.waitIncrementMinutes;
+        const billedMinutes = Math.ceil(Math.max((parseFloat(options.waitMinutes) || 0) - graceMinutes, 0) / increment) * increment;
+        if (billedMinutes > 0 && options.waitRatePerHour) {
+            fees.push({ item: `Wait Time (${billedMinutes} min after ${graceMinutes} min grace)`, amount: billedMinutes / 60 * options.waitRatePerHour });
+        }
+
+        return fees;
+    },
+
+    /**
+     * Driving hours for a one-way trip including the deadhead from and back to HQ, or null if it can't be routed.
+     * options: { serviceDate, serviceTime } for time-of-day traffic
+     */
+    getEstimatedHours: function(origin, destination, options = {}) {
+        const estimate = this.getTravelTime().estimateLeg(origin, destination, options);
+        return estimate ? estimate.hours : null;
+    },
+
+    // Travel-time estimator, looked up on use since it loads after this file on the pages
+    getTravelTime: function() {
+        return typeof TravelTime !== 'undefined' ? TravelTime : require('./travel-time.js');
     }
 };
 
@@ -227,4 +233,6 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Make available globally
-window.AirportZonePricing = AirportZonePricing;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.AirportZonePricing = AirportZonePricing;
+}
\ No newline at end of file
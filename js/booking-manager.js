@@ -0,0 +1,275 @@
+/**
+ * TNT Booking Manager
+ * Bookings after the quote: lifecycle states and the moves allowed between them, driver assignment,
+ * trip changes re-priced through the engine, and a history of every status change and modification
+ */
+
+const BookingManager = {
+    // Pricing engine, saved quotes and localStorage persistence (browser globals, or required under Node.js)
+    engine: typeof PricingEngine !== 'undefined' ? PricingEngine : require('./pricing-engine.js'),
+    quoteStore: typeof QuoteStore !== 'undefined' ? QuoteStore : require('./quote-store.js'),
+    localStore: typeof LocalStore !== 'undefined' ? LocalStore : require('./local-store.js'),
+
+    // Bookings keyed by ID:
+    // { id, status, platform, request, quoteId, rateCardVersion, quote, total, contact, reference, assignment, tripId,
+    //   paymentSchedule (deposit and balance, or corporate billing), paid, cancellation (fee charged when cancelled or a no-show), createdAt, updatedAt, history: [{ from, to, at, by, note }], modifications: [{ at, by, note, changes, lines, previousTotal, total, difference }] }
+    bookings: {},
+
+    storageKey: 'tnt_bookings',
+
+    // Lifecycle state → states it can move to; completed, cancelled and no-show are final
+    transitions: {
+        'requested': ['confirmed', 'cancelled'],
+        'confirmed': ['assigned', 'cancelled'],
+        'assigned': ['confirmed', 'en-route', 'cancelled'],
+        'en-route': ['on-location', 'cancelled'],
+        'on-location': ['in-progress', 'no-show'],
+        'in-progress': ['completed'],
+        'completed': [],
+        'cancelled': [],
+        'no-show': []
+    },
+
+    stateNames: {
+        'requested': 'Requested',
+        'confirmed': 'Confirmed',
+        'assigned': 'Driver Assigned',
+        'en-route': 'En Route',
+        'on-location': 'On Location',
+        'in-progress': 'In Progress',
+        'completed': 'Completed',
+        'cancelled': 'Cancelled',
+        'no-show': 'No-Show'
+    },
+
+    // A booking starts as a request for dispatch to confirm, or already confirmed (contract and partner bookings)
+    initialStates: ['requested', 'confirmed'],
+
+    // Trip details can change until the vehicle leaves
+    modifiableStates: ['requested', 'confirmed', 'assigned'],
+
+    /**
+     * Create a booking from a priced quote (an engine result, optionally saved with a quoteId).
+     * details: { request, platform, quote, status, contact: { name, email, phone }, reference, by, note,
+     * paid (already tendered, e.g. a gift certificate; credited to the first payments due) }
+     * Returns { success, booking } or { success: false, error }.
+     */
+    create: function(details, now = new Date()) {
+        const quote = details.quote;
+        if (!quote || !quote.success) {
+            return { success: false, error: 'A booking needs a priced quote' };
+        }
+
+        const status = details.status || 'requested';
+        if (!this.initialStates.includes(status)) {
+            return { success: false, error: `A booking cannot start as ${this.getStateName(status)}` };
+        }
+
+        const at = new Date(now).toISOString();
+        const platform = details.platform || quote.platform;
+        const booking = {
+            id: this.generateId(),
+            status: status,
+            platform: platform,
+            request: JSON.parse(JSON.stringify(details.request)),
+            quoteId: quote.quoteId || null,
+            rateCardVersion: quote.rateCardVersion,
+            quote: JSON.parse(JSON.stringify(quote)),
+            total: quote.total,
+            contact: Object.assign({ name: '', email: '', phone: '' }, details.contact),
+            reference: details.reference || '',
+            assignment: null,
+            tripId: null,
+            paymentSchedule: this.engine.getPaymentSchedule(details.request, quote.total, platform, now, details.paid || 0),
+            paid: details.paid || 0,
+            cancellation: null,
+            createdAt: at,
+            updatedAt: at,
+            history: [{ from: null, to: status, at: at, by: details.by || '', note: details.note || '' }],
+            modifications: []
+        };
+
+        this.bookings[booking.id] = booking;
+        this.saveBookings();
+
+        return { success: true, booking: booking };
+    },
+
+    /**
+     * Move a booking to another state. details: { by, note, driver, vehicleUnit (when assigning), waiveFee (cancel at no charge) }
+     * Returns { success, booking } or { success: false, error }.
+     */
+    transition: function(id, status, details = {}, now = new Date()) {
+        const booking = this.getBooking(id);
+        if (!booking) {
+            return { success: false, error: 'Booking not found' };
+        }
+        if (!this.stateNames[status]) {
+            return { success: false, error: `Unknown booking status: ${status}` };
+        }
+        if (!this.canTransition(booking, status)) {
+            return { success: false, error: `Booking ${booking.id} cannot move from ${this.getStateName(booking.status)} to ${this.getStateName(status)}` };
+        }
+        if (status === 'assigned' && !details.driver) {
+            return { success: false, error: 'Assigning a booking needs a driver' };
+        }
+
+        const at = new Date(now).toISOString();
+        booking.history.push({ from: booking.status, to: status, at: at, by: details.by || '', note: details.note || '' });
+        booking.status = status;
+        booking.updatedAt = at;
+        if (status === 'assigned') {
+            booking.assignment = { driver: details.driver, vehicleUnit: details.vehicleUnit || '' };
+        } else if (status === 'confirmed') {
+            booking.assignment = null;
+        } else if (status === 'cancelled' || status === 'no-show') {
+            booking.cancellation = this.engine.getCancellationFee(booking.request, booking.total, booking.platform, now, status === 'no-show');
+            if (booking.cancellation && details.waiveFee) {
+                Object.assign(booking.cancellation, { percent: 0, amount: 0, description: 'Fee waived' });
+            }
+        }
+        this.saveBookings();
+
+        return { success: true, booking: booking };
+    },
+
+    /**
+     * Change trip details (any quote request fields) and re-price the booking at current rates; payments are
+     * rescheduled for the new total as of the original booking date.
+     * A different vehicle type sends an assigned booking back to confirmed for reassignment.
+     * Returns { success, booking, modification } (modification null when nothing changed) or { success: false, error }.
+     */
+    modify: function(id, changes, details = {}, now = new Date()) {
+        const booking = this.getBooking(id);
+        if (!booking) {
+            return { success: false, error: 'Booking not found' };
+        }
+        if (!this.modifiableStates.includes(booking.status)) {
+            return { success: false, error: `Booking ${booking.id} is ${this.getStateName(booking.status)} and can no longer be changed` };
+        }
+
+        const request = Object.assign({}, booking.request, changes);
+        const tripChanges = this.quoteStore.getRequestChanges(booking.request, request);
+        if (tripChanges.length === 0) {
+            return { success: true, booking: booking, modification: null };
+        }
+
+        const quote = this.engine.quote(Object.assign({}, request, { quoteDate: new Date(now).toISOString() }), booking.platform);
+        if (!quote.success) {
+            return { success: false, error: quote.error };
+        }
+
+        const at = new Date(now).toISOString();
+        const modification = {
+            at: at,
+            by: details.by || '',
+            note: details.note || '',
+            changes: tripChanges,
+            lines: this.quoteStore.getLineChanges(booking.quote, quote),
+            previousTotal: booking.total,
+            total: quote.total,
+            difference: Math.round((quote.total - booking.total) * 100) / 100
+        };
+
+        booking.modifications.push(modification);
+        booking.request = JSON.parse(JSON.stringify(request));
+        booking.quote = JSON.parse(JSON.stringify(quote));
+        booking.quoteId = null;
+        booking.rateCardVersion = quote.rateCardVersion;
+        booking.total = quote.total;
+        booking.paymentSchedule = this.engine.getPaymentSchedule(request, quote.total, booking.platform, booking.createdAt, booking.paid);
+        booking.updatedAt = at;
+
+        if (booking.status === 'assigned' && tripChanges.some(change => change.field === 'vehicleType')) {
+            this.transition(booking.id, 'confirmed', { by: details.by, note: 'Vehicle changed; needs reassignment' }, now);
+        }
+        this.saveBookings();
+
+        return { success: true, booking: booking, modification: modification };
+    },
+
+    /**
+     * Cancel a booking, charging the cancellation fee for the notice given (see PricingEngine.cancellationPolicy)
+     */
+    cancel: function(id, details = {}, now = new Date()) {
+        return this.transition(id, 'cancelled', details, now);
+    },
+
+    /**
+     * Fee for cancelling a booking now, without cancelling it; returns { success, fee } or { success: false, error }
+     */
+    previewCancellation: function(id, now = new Date()) {
+        const booking = this.getBooking(id);
+        if (!booking) {
+            return { success: false, error: 'Booking not found' };
+        }
+        if (!this.canTransition(booking, 'cancelled')) {
+            return { success: false, error: `Booking ${booking.id} is ${this.getStateName(booking.status)} and can no longer be cancelled` };
+        }
+        return { success: true, fee: this.engine.getCancellationFee(booking.request, booking.total, booking.platform, now) };
+    },
+
+    /**
+     * Record the driver portal trip a booking was synced to
+     */
+    setTripId: function(id, tripId) {
+        const booking = this.getBooking(id);
+        if (!booking) return null;
+        booking.tripId = tripId;
+        this.saveBookings();
+        return booking;
+    },
+
+    canTransition: function(booking, status) {
+        return (this.transitions[booking.status] || []).includes(status);
+    },
+
+    getAllowedTransitions: function(id) {
+        const booking = this.getBooking(id);
+        return booking ? this.transitions[booking.status].slice() : [];
+    },
+
+    getStateName: function(status) {
+        return this.stateNames[status] || status;
+    },
+
+    getBooking: function(id) {
+        return this.bookings[this.normalizeId(id)] || null;
+    },
+
+    getBookingByTripId: function(tripId) {
+        return Object.values(this.bookings).find(booking => booking.tripId === tripId) || null;
+    },
+
+    normalizeId: function(id) {
+        return String(id || '').trim().toUpperCase();
+    },
+
+    generateId: function() {
+        let id;
+        do {
+            id = `TNT-BK-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+        } while (this.bookings[id]);
+        return id;
+    },
+
+    loadBookings: function() {
+        this.bookings = this.localStore.load(this.storageKey, {}, 'bookings');
+    },
+
+    saveBookings: function() {
+        this.localStore.save(this.storageKey, this.bookings, 'bookings');
+    }
+};
+
+BookingManager.loadBookings();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookingManager;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.BookingManager = BookingManager;
+}
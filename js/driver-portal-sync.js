@@ -7,6 +7,10 @@ class DriverPortalSync {
   constructor(portalBaseUrl = 'https://tnt-driver-portal.vercel.app') {
     this.portalBaseUrl = portalBaseUrl;
     this.apiBase = `${portalBaseUrl}/api/pricing-sync`;
+    // Booking lifecycle shared with the booking pages (browser global, or required under Node.js);
+    // null on pages without booking-manager.js, where bookings aren't linked to portal trips
+    this.bookings = typeof BookingManager !== 'undefined' ? BookingManager
+      : (typeof require === 'function' ? require('./booking-manager.js') : null);
   }
 
   /**
@@ -173,6 +177,7 @@ class DriverPortalSync {
   async confirmBookingWithSync(bookingData, platform = 'standard') {
     // Prepare booking data for driver portal
     const driverPortalBooking = {
+      bookingId: bookingData.bookingId || null,
       serviceType: bookingData.serviceType,
       vehicleClass: bookingData.vehicleType,
       pickupDateTime: `${bookingData.serviceDate}T${bookingData.serviceTime}`,
@@ -200,6 +205,11 @@ class DriverPortalSync {
     const syncResult = await this.syncBookingToDriverPortal(driverPortalBooking);
 
     if (syncResult.success) {
+      // Link the portal trip to the booking so driver status updates reach it
+      if (bookingData.bookingId && this.bookings) {
+        this.bookings.setTripId(bookingData.bookingId, syncResult.tripId);
+      }
+
       // Show success message with driver portal integration
       this.showBookingConfirmation(syncResult.tripId, bookingData, platform);
       
@@ -209,7 +219,7 @@ class DriverPortalSync {
       return {
         success: true,
         tripId: syncResult.tripId,
-        confirmationCode: `TNT-${Date.now().toString().slice(-6)}`,
+        confirmationCode: bookingData.bookingId || `TNT-${Date.now().toString().slice(-6)}`,
         message: 'Booking confirmed and dispatched to drivers'
       };
     } else {
@@ -227,6 +237,23 @@ class DriverPortalSync {
     }
   }
 
+  /**
+   * Apply a driver's trip status from the portal (e.g. 'EN_ROUTE', 'on_location') to the linked booking.
+   * Moves the booking through BookingManager, so statuses that skip or reverse the lifecycle are rejected.
+   */
+  applyTripStatus(tripId, portalStatus, details = {}) {
+    if (!this.bookings) {
+      return { success: false, error: 'Booking sync is not available on this page' };
+    }
+    const booking = this.bookings.getBookingByTripId(tripId);
+    if (!booking) {
+      return { success: false, error: `No booking is linked to trip ${tripId}` };
+    }
+
+    const status = String(portalStatus || '').trim().toLowerCase().replace(/[_\s]+/g, '-');
+    return this.bookings.transition(booking.id, status, Object.assign({ by: 'Driver portal' }, details), details.at);
+  }
+
   /**
    * Show enhanced booking confirmation
    */
@@ -308,14 +335,20 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global functions for easy integration in existing pricing tools
-window.checkDriverPortalAvailability = async (datetime, passengers, serviceType) => {
-  return await driverPortalSync.checkVehicleAvailability(datetime, passengers, serviceType);
-};
+if (typeof window !== 'undefined') {
+  window.checkDriverPortalAvailability = async (datetime, passengers, serviceType) => {
+    return await driverPortalSync.checkVehicleAvailability(datetime, passengers, serviceType);
+  };
+
+  window.syncBookingToDriverPortal = async (bookingData, platform) => {
+    return await driverPortalSync.confirmBookingWithSync(bookingData, platform);
+  };
 
-window.syncBookingToDriverPortal = async (bookingData, platform) => {
-  return await driverPortalSync.confirmBookingWithSync(bookingData, platform);
-};
+  window.getFleetStatus = async () => {
+    return await driverPortalSync.getFleetStatus();
+  };
 
-window.getFleetStatus = async () => {
-  return await driverPortalSync.getFleetStatus();
-};
\ No newline at end of file
+  window.applyDriverTripStatus = (tripId, portalStatus, details) => {
+    return driverPortalSync.applyTripStatus(tripId, portalStatus, details);
+  };
+}
\ No newline at end of file
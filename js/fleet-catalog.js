@@ -0,0 +1,173 @@
+/**
+ * TNT Fleet Catalog
+ * One place for what each vehicle is: names, units, seating, luggage, amenities, photos and
+ * the services it runs, with capacity checks that suggest the smallest vehicle that fits
+ */
+
+const FleetCatalog = {
+    // Vehicle key → description. name is the staff and corporate name, customerName the retail one;
+    // luggage is the number of standard suitcases carried with every seat taken
+    vehicles: {
+        'sedan': {
+            name: 'Executive Sedan (Lincoln MKT/Aviator)',
+            customerName: 'Luxury Sedan',
+            vehicleClass: 'sedan',
+            units: ['04', '05'],
+            seats: 3,
+            luggage: 3,
+            amenities: ['Leather seating', 'Bottled water', 'Phone chargers'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'transit': {
+            name: 'Transit Van',
+            customerName: 'Executive Van',
+            vehicleClass: 'van',
+            units: [],
+            seats: 15,
+            luggage: 8,
+            amenities: ['Rear luggage area', 'Climate control', 'Phone chargers'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'executive-mini-bus': {
+            name: 'Executive Mini Bus',
+            customerName: 'Executive Mini Bus',
+            vehicleClass: 'bus',
+            units: ['09'],
+            seats: 12,
+            luggage: 10,
+            amenities: ['Reclining seats', 'Luggage bay', 'Audio system'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'mini-bus-sofa': {
+            name: 'Mini Bus with Sofa Seating',
+            customerName: 'VIP Mini Bus',
+            vehicleClass: 'bus',
+            units: ['01'],
+            seats: 10,
+            luggage: 6,
+            amenities: ['Sofa seating', 'Mood lighting', 'Audio system'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'stretch-limo': {
+            name: 'Stretch Limousine (Lincoln Continental)',
+            customerName: 'Stretch Limousine',
+            vehicleClass: 'limousine',
+            units: ['03'],
+            seats: 8,
+            luggage: 3,
+            amenities: ['Bar area', 'Mood lighting', 'Privacy partition'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'sprinter-limo': {
+            name: 'Sprinter Limousine',
+            customerName: 'Sprinter Limousine',
+            vehicleClass: 'limousine',
+            units: ['02'],
+            seats: 10,
+            luggage: 6,
+            amenities: ['Perimeter seating', 'Mood lighting', 'Audio system'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        },
+        'limo-bus': {
+            name: 'Executive Limo Bus',
+            customerName: 'Luxury Coach',
+            vehicleClass: 'limousine',
+            units: ['10'],
+            seats: 18,
+            luggage: 10,
+            amenities: ['Perimeter seating', 'Bar area', 'Mood lighting', 'Audio system'],
+            photos: [],
+            serviceTypes: ['hourly', 'point-to-point', 'airport', 'multi-stop']
+        }
+    },
+
+    get: function(vehicleType) {
+        return this.vehicles[vehicleType] || null;
+    },
+
+    /**
+     * Display name: audience 'customer' uses the retail name, anything else the staff name
+     */
+    getName: function(vehicleType, audience) {
+        const vehicle = this.get(vehicleType);
+        if (!vehicle) return vehicleType;
+        return audience === 'customer' ? vehicle.customerName : vehicle.name;
+    },
+
+    // Unit numbers as shown on quotes, e.g. '04/05'
+    getUnits: function(vehicleType) {
+        const vehicle = this.get(vehicleType);
+        return vehicle ? vehicle.units.join('/') : '';
+    },
+
+    /**
+     * Label for a vehicle picker option
+     */
+    getOptionLabel: function(vehicleType, audience) {
+        const vehicle = this.get(vehicleType);
+        if (!vehicle) return vehicleType;
+        if (audience === 'customer') {
+            return `${vehicle.customerName} - ${vehicle.seats} passengers`;
+        }
+        const units = vehicle.units.length ? ` (Unit ${this.getUnits(vehicleType)})` : '';
+        return `${vehicle.name}${units} - Up to ${vehicle.seats} passengers`;
+    },
+
+    /**
+     * Vehicle picker options in catalog order: [{ value, label }]
+     */
+    getOptions: function(audience) {
+        return Object.keys(this.vehicles).map(vehicleType => ({ value: vehicleType, label: this.getOptionLabel(vehicleType, audience) }));
+    },
+
+    isEligible: function(vehicleType, serviceType) {
+        const vehicle = this.get(vehicleType);
+        return Boolean(vehicle && vehicle.serviceTypes.includes(serviceType));
+    },
+
+    /**
+     * Whether a party fits in vehicleCount vehicles of a type. When it doesn't, upgrade is the smallest
+     * vehicle for the service that fits, preferring the same class. Returns
+     * { fits, passengers, luggage, seats, luggageCapacity, upgrade } (upgrade null if nothing fits).
+     */
+    checkCapacity: function(vehicleType, passengers, luggage, serviceType, vehicleCount = 1) {
+        const vehicle = this.get(vehicleType);
+        const party = { passengers: Math.max(parseInt(passengers) || 0, 0), luggage: Math.max(parseInt(luggage) || 0, 0) };
+        const count = Math.max(parseInt(vehicleCount) || 1, 1);
+        const fitsIn = candidate => candidate.seats * count >= party.passengers && candidate.luggage * count >= party.luggage;
+        const fits = vehicle ? fitsIn(vehicle) : false;
+
+        let upgrade = null;
+        if (vehicle && !fits) {
+            const candidates = Object.keys(this.vehicles)
+                .filter(key => fitsIn(this.vehicles[key]) && (!serviceType || this.isEligible(key, serviceType)))
+                .sort((a, b) => this.vehicles[a].seats - this.vehicles[b].seats);
+            upgrade = candidates.find(key => this.vehicles[key].vehicleClass === vehicle.vehicleClass) || candidates[0] || null;
+        }
+
+        return {
+            fits: fits,
+            passengers: party.passengers,
+            luggage: party.luggage,
+            seats: vehicle ? vehicle.seats * count : 0,
+            luggageCapacity: vehicle ? vehicle.luggage * count : 0,
+            upgrade: upgrade
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FleetCatalog;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FleetCatalog = FleetCatalog;
+}
@@ -0,0 +1,94 @@
+/**
+ * TNT Flight Status
+ * Flight lookups for airport pickups through a pluggable status provider, and the pickup plan
+ * (shifted pickup time, free wait window, billable wait) for a delayed flight
+ */
+
+const FlightStatus = {
+    // Airport zone matrix holding the pickup grace periods (browser global, or required when running under Node.js)
+    zonePricing: typeof AirportZonePricing !== 'undefined' ? AirportZonePricing : require('./airport-zone-pricing.js'),
+
+    // Status provider: { getStatus(flightCode, serviceDate) → Promise<status | null> }, where status is
+    // { flight, status: 'scheduled' | 'delayed' | 'landed' | 'cancelled', scheduledArrival, estimatedArrival, international }
+    // and arrivals are local 'YYYY-MM-DDTHH:MM' times
+    provider: null,
+
+    setProvider: function(provider) {
+        this.provider = provider;
+    },
+
+    /**
+     * Airline code and flight number as one code, e.g. 'aa 1234' → 'AA1234'; null if malformed
+     */
+    normalizeFlight: function(airline, flightNumber) {
+        const code = `${airline || ''}${flightNumber || ''}`.replace(/\s+/g, '').toUpperCase();
+        return /^[A-Z0-9]{2}\d{1,4}$/.test(code) ? code : null;
+    },
+
+    /**
+     * Current status of a flight; returns { success, status } or { success: false, error }
+     */
+    lookup: async function(airline, flightNumber, serviceDate) {
+        const flight = this.normalizeFlight(airline, flightNumber);
+        if (!flight) {
+            return { success: false, error: 'Enter the airline code and flight number, e.g. AA 1234' };
+        }
+        if (!this.provider) {
+            return { success: false, error: 'Flight status is not available' };
+        }
+
+        try {
+            const status = await this.provider.getStatus(flight, serviceDate);
+            return status ? { success: true, status: status } : { success: false, error: `Flight ${flight} not found on ${serviceDate}` };
+        } catch (error) {
+            console.error('Error looking up flight status:', error);
+            return { success: false, error: 'Flight status is not available' };
+        }
+    },
+
+    /**
+     * Pickup plan for a flight status: the pickup moves to the estimated arrival, waiting is free for the
+     * airport's grace period after the scheduled arrival, and any delay beyond it is billable wait time
+     */
+    getPickupPlan: function(status, airport) {
+        const graceMinutes = this.zonePricing.getGraceMinutes(airport, status.international);
+        const scheduled = this.parseTime(status.scheduledArrival);
+        const estimated = this.parseTime(status.estimatedArrival) || scheduled;
+        const delayMinutes = scheduled && estimated ? Math.max(Math.round((estimated - scheduled) / 60000), 0) : 0;
+
+        return {
+            flight: status.flight,
+            status: status.status,
+            cancelled: status.status === 'cancelled',
+            scheduledPickup: scheduled ? this.formatTime(scheduled) : null,
+            pickupTime: estimated ? this.formatTime(estimated) : null,
+            delayMinutes: delayMinutes,
+            graceMinutes: graceMinutes,
+            freeWaitUntil: scheduled ? this.formatTime(new Date(scheduled.getTime() + graceMinutes * 60000)) : null,
+            waitMinutes: delayMinutes
+        };
+    },
+
+    // Local 'YYYY-MM-DDTHH:MM' (no time zone suffix, so it stays in the airport's local time)
+    parseTime: function(value) {
+        if (!value) return null;
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value);
+        if (!match) return null;
+        return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), parseInt(match[4]), parseInt(match[5]));
+    },
+
+    formatTime: function(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlightStatus;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.FlightStatus = FlightStatus;
+}
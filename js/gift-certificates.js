@@ -0,0 +1,151 @@
+/**
+ * TNT Gift Certificates
+ * Prepaid certificate ledger: issue, partial redemption against bookings,
+ * remaining balance and expiry
+ */
+
+const GiftCertificates = {
+    // localStorage persistence and date keys (browser global, or required under Node.js)
+    localStore: typeof LocalStore !== 'undefined' ? LocalStore : require('./local-store.js'),
+
+    // Certificates keyed by code:
+    // { code, amount, balance, issuedOn, expiresOn, purchaser, recipient, transactions: [{ type, amount, date, reference }] }
+    certificates: {},
+
+    // Certificates are good for five years from issue unless an expiry is given
+    validityYears: 5,
+
+    storageKey: 'tnt_gift_certificates',
+
+    /**
+     * Issue a certificate; returns { success, certificate } or { success: false, error }
+     */
+    issue: function(details, today = new Date()) {
+        const amount = Math.round(parseFloat(details.amount) * 100) / 100;
+        if (!(amount > 0)) {
+            return { success: false, error: 'Gift certificate amount must be greater than zero' };
+        }
+
+        const issuedOn = this.localStore.toDateKey(today);
+        const expiresOn = details.expiresOn || this.addYears(issuedOn, this.validityYears);
+        if (expiresOn < issuedOn) {
+            return { success: false, error: 'Gift certificate cannot expire before it is issued' };
+        }
+
+        const code = details.code ? this.normalizeCode(details.code) : this.generateCode();
+        if (this.certificates[code]) {
+            return { success: false, error: `Gift certificate ${code} already exists` };
+        }
+
+        const certificate = {
+            code: code,
+            amount: amount,
+            balance: amount,
+            issuedOn: issuedOn,
+            expiresOn: expiresOn,
+            purchaser: details.purchaser || '',
+            recipient: details.recipient || '',
+            transactions: [{ type: 'issue', amount: amount, date: issuedOn, reference: details.reference || '' }]
+        };
+
+        this.certificates[code] = certificate;
+        this.saveCertificates();
+
+        return { success: true, certificate: certificate };
+    },
+
+    /**
+     * Balance available on a certificate; returns { valid, certificate, balance } or { valid: false, error }
+     */
+    validate: function(code, today = new Date()) {
+        const certificate = this.certificates[this.normalizeCode(code)];
+        if (!certificate) {
+            return { valid: false, error: 'Gift certificate not found' };
+        }
+        if (this.localStore.toDateKey(today) > certificate.expiresOn) {
+            return { valid: false, error: `Gift certificate expired on ${certificate.expiresOn}` };
+        }
+        if (certificate.balance <= 0) {
+            return { valid: false, error: 'Gift certificate has no remaining balance' };
+        }
+
+        return { valid: true, certificate: certificate, balance: certificate.balance };
+    },
+
+    /**
+     * How a certificate would cover an amount, without recording anything
+     */
+    previewTender: function(code, amountDue, today = new Date()) {
+        const check = this.validate(code, today);
+        if (!check.valid) {
+            return { success: false, error: check.error };
+        }
+
+        const applied = Math.min(check.balance, Math.round(amountDue * 100) / 100);
+        return {
+            success: true,
+            code: check.certificate.code,
+            applied: applied,
+            amountDue: Math.round((amountDue - applied) * 100) / 100,
+            remainingBalance: Math.round((check.balance - applied) * 100) / 100,
+            expiresOn: check.certificate.expiresOn
+        };
+    },
+
+    /**
+     * Apply a certificate as tender against a booking, drawing down as much of the amount as the balance covers
+     */
+    redeem: function(code, amountDue, reference, today = new Date()) {
+        const tender = this.previewTender(code, amountDue, today);
+        if (!tender.success) {
+            return tender;
+        }
+
+        const certificate = this.certificates[tender.code];
+        certificate.balance = tender.remainingBalance;
+        certificate.transactions.push({ type: 'redeem', amount: tender.applied, date: this.localStore.toDateKey(today), reference: reference || '' });
+        this.saveCertificates();
+
+        return tender;
+    },
+
+    getCertificate: function(code) {
+        return this.certificates[this.normalizeCode(code)] || null;
+    },
+
+    normalizeCode: function(code) {
+        return String(code || '').trim().toUpperCase();
+    },
+
+    generateCode: function() {
+        let code;
+        do {
+            code = `TNT-GC-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+        } while (this.certificates[code]);
+        return code;
+    },
+
+    addYears: function(dateKey, years) {
+        return `${parseInt(dateKey.slice(0, 4)) + years}${dateKey.slice(4)}`;
+    },
+
+    loadCertificates: function() {
+        this.certificates = this.localStore.load(this.storageKey, {}, 'gift certificates');
+    },
+
+    saveCertificates: function() {
+        this.localStore.save(this.storageKey, this.certificates, 'gift certificates');
+    }
+};
+
+GiftCertificates.loadCertificates();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GiftCertificates;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.GiftCertificates = GiftCertificates;
+}
@@ -0,0 +1,144 @@
+/**
+ * TNT Holiday Calendar
+ * US federal holidays plus configurable local dates (prom, graduation weekends),
+ * used to derive the pricing day type from the actual service date
+ */
+
+const HolidayCalendar = {
+    // Local peak dates priced as holidays: { name, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+    localHolidays: [],
+
+    // Mon-Thu get the weekday discount, Fri-Sun are standard weekend days
+    weekdayDays: [1, 2, 3, 4],
+
+    federalHolidayCache: {},
+
+    /**
+     * Federal holidays for a year as { date, name }, on the calendar date (not the observed Friday/Monday)
+     */
+    getFederalHolidays: function(year) {
+        if (this.federalHolidayCache[year]) {
+            return this.federalHolidayCache[year];
+        }
+
+        const holidays = [
+            { date: this.formatDate(new Date(year, 0, 1)), name: "New Year's Day" },
+            { date: this.formatDate(this.nthWeekday(year, 0, 1, 3)), name: 'Martin Luther King Jr. Day' },
+            { date: this.formatDate(this.nthWeekday(year, 1, 1, 3)), name: "Presidents' Day" },
+            { date: this.formatDate(this.lastWeekday(year, 4, 1)), name: 'Memorial Day' },
+            { date: this.formatDate(new Date(year, 5, 19)), name: 'Juneteenth' },
+            { date: this.formatDate(new Date(year, 6, 4)), name: 'Independence Day' },
+            { date: this.formatDate(this.nthWeekday(year, 8, 1, 1)), name: 'Labor Day' },
+            { date: this.formatDate(this.nthWeekday(year, 9, 1, 2)), name: 'Columbus Day' },
+            { date: this.formatDate(new Date(year, 10, 11)), name: 'Veterans Day' },
+            { date: this.formatDate(this.nthWeekday(year, 10, 4, 4)), name: 'Thanksgiving Day' },
+            { date: this.formatDate(new Date(year, 11, 25)), name: 'Christmas Day' }
+        ];
+
+        this.federalHolidayCache[year] = holidays;
+        return holidays;
+    },
+
+    /**
+     * Replace the configured local holiday dates
+     */
+    setLocalHolidays: function(localHolidays) {
+        this.localHolidays = localHolidays.map(holiday => ({
+            name: holiday.name,
+            start: holiday.start,
+            end: holiday.end || holiday.start
+        }));
+    },
+
+    /**
+     * Name of the holiday on a date, or null
+     */
+    getHoliday: function(serviceDate) {
+        const date = this.parseDate(serviceDate);
+        if (!date) return null;
+
+        const key = this.formatDate(date);
+        const federal = this.getFederalHolidays(date.getFullYear()).find(holiday => holiday.date === key);
+        if (federal) return federal.name;
+
+        const local = this.localHolidays.find(holiday => key >= holiday.start && key <= holiday.end);
+        return local ? local.name : null;
+    },
+
+    isHoliday: function(serviceDate) {
+        return this.getHoliday(serviceDate) !== null;
+    },
+
+    /**
+     * Pricing day type for a service date: 'holiday', 'weekday' (Mon-Thu) or 'weekend' (Fri-Sun)
+     */
+    getDayType: function(serviceDate) {
+        const date = this.parseDate(serviceDate);
+        if (!date) return null;
+        if (this.isHoliday(date)) return 'holiday';
+        return this.weekdayDays.includes(date.getDay()) ? 'weekday' : 'weekend';
+    },
+
+    /**
+     * Parse 'YYYY-MM-DD' as a local date (new Date('YYYY-MM-DD') is UTC and can shift a day)
+     */
+    parseDate: function(value) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value) ? null : value;
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+        if (!match) return null;
+        return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    },
+
+    formatDate: function(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    // nth occurrence of a weekday (0 = Sunday) in a month
+    nthWeekday: function(year, month, weekday, n) {
+        const first = new Date(year, month, 1);
+        const offset = (weekday - first.getDay() + 7) % 7;
+        return new Date(year, month, 1 + offset + (n - 1) * 7);
+    },
+
+    // Last occurrence of a weekday in a month
+    lastWeekday: function(year, month, weekday) {
+        const last = new Date(year, month + 1, 0);
+        const offset = (last.getDay() - weekday + 7) % 7;
+        return new Date(year, month, last.getDate() - offset);
+    },
+
+    /**
+     * Keep a page's day type dropdown in step with its service date input
+     */
+    bindDayTypeSelect: function(dateInputId, dayTypeSelectId) {
+        const dateInput = document.getElementById(dateInputId);
+        const dayTypeSelect = document.getElementById(dayTypeSelectId);
+        if (!dateInput || !dayTypeSelect) return;
+
+        const sync = () => {
+            dayTypeSelect.value = this.getDayType(dateInput.value) || 'weekend';
+        };
+        dateInput.addEventListener('change', sync);
+        sync();
+    }
+};
+
+// Derive the day type from the service date on pages that have both fields
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        HolidayCalendar.bindDayTypeSelect('serviceDate', 'dayType');
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.HolidayCalendar = HolidayCalendar;
+}
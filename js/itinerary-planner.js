@@ -0,0 +1,143 @@
+/**
+ * TNT Itinerary Planner
+ * Multi-stop trips: ordered stops with planned arrivals and wait times, routed into legs
+ * with a stop-by-stop timeline and the garage-to-garage hours from and back to HQ
+ */
+
+const ItineraryPlanner = {
+    // HQ location and routed drive times (browser global, or required when running under Node.js)
+    travelTime: typeof TravelTime !== 'undefined' ? TravelTime : require('./travel-time.js'),
+
+    maxStops: 10,
+
+    /**
+     * Plan a trip through stops: [{ location, arrival: 'HH:MM' (optional), waitMinutes }].
+     * The first stop's arrival (or options.serviceTime) is the pickup time. Each leg covers the wait at
+     * its starting stop and the drive to the next; arriving ahead of a planned arrival is idle time on that leg.
+     * Returns { success, itinerary } or { success: false, error }.
+     */
+    plan: function(stops, options = {}) {
+        const error = this.validate(stops);
+        if (error) {
+            return { success: false, error: error };
+        }
+
+        const routing = this.travelTime.routing;
+        const points = stops.map(stop => routing.resolvePoint(stop.location));
+        const unknown = points.findIndex(point => !point);
+        if (unknown >= 0) {
+            return { success: false, error: `Stop ${unknown + 1} (${stops[unknown].location}) could not be found. Enter a known place or coordinates as "latitude, longitude".` };
+        }
+
+        const warnings = [];
+        const startMinutes = this.parseMinutes(stops[0].arrival || options.serviceTime);
+        let clock = startMinutes;
+        const legs = [];
+
+        for (let i = 0; i < stops.length - 1; i++) {
+            const route = routing.getRoute(stops[i].location, stops[i + 1].location);
+            const waitMinutes = parseFloat(stops[i].waitMinutes) || 0;
+            const driveMinutes = Math.round(route.driveHours * 60);
+            const departure = clock === null ? null : clock + waitMinutes;
+            const earliest = departure === null ? null : departure + driveMinutes;
+            const planned = clock === null ? null : this.parseMinutes(stops[i + 1].arrival);
+            let idleMinutes = 0;
+
+            // Planned times are clock times, so compare within 12 hours either side of the earliest arrival
+            if (planned !== null) {
+                const difference = ((planned - earliest) % 1440 + 1440 + 720) % 1440 - 720;
+                if (difference < 0) {
+                    warnings.push(`Stop ${i + 2} planned for ${this.formatMinutes(planned)} is not reachable; earliest arrival ${this.formatMinutes(earliest)}`);
+                } else {
+                    idleMinutes = difference;
+                }
+            }
+
+            legs.push({
+                number: i + 1,
+                from: points[i].name,
+                to: points[i + 1].name,
+                route: { miles: route.miles, driveHours: route.driveHours, source: route.source },
+                waitMinutes: waitMinutes,
+                driveMinutes: driveMinutes,
+                idleMinutes: idleMinutes,
+                hours: this.round((waitMinutes + driveMinutes + idleMinutes) / 60),
+                departure: departure === null ? null : this.formatMinutes(departure),
+                arrival: earliest === null ? null : this.formatMinutes(earliest + idleMinutes)
+            });
+
+            clock = earliest === null ? null : earliest + idleMinutes;
+        }
+
+        const toFirstStop = routing.getRoute(this.travelTime.hq, stops[0].location);
+        const fromLastStop = routing.getRoute(stops[stops.length - 1].location, this.travelTime.hq);
+        const serviceHours = this.round(legs.reduce((sum, leg) => sum + leg.hours, 0));
+
+        return {
+            success: true,
+            itinerary: {
+                stops: stops.map((stop, index) => ({
+                    location: stop.location,
+                    name: points[index].name,
+                    arrival: index === 0 ? (startMinutes === null ? null : this.formatMinutes(startMinutes)) : legs[index - 1].arrival,
+                    waitMinutes: parseFloat(stop.waitMinutes) || 0
+                })),
+                legs: legs,
+                garageHours: this.round(toFirstStop.driveHours + serviceHours + fromLastStop.driveHours),
+                deadheadHours: { toFirstStop: toFirstStop.driveHours, fromLastStop: fromLastStop.driveHours },
+                serviceHours: serviceHours,
+                warnings: warnings
+            }
+        };
+    },
+
+    /**
+     * First problem with the stop list, or null
+     */
+    validate: function(stops) {
+        if (!Array.isArray(stops) || stops.length < 2) {
+            return 'A multi-stop trip needs at least two stops';
+        }
+        if (stops.length > this.maxStops) {
+            return `A multi-stop trip can have at most ${this.maxStops} stops`;
+        }
+
+        for (let i = 0; i < stops.length; i++) {
+            const stop = stops[i] || {};
+            if (!stop.location || !String(stop.location).trim()) {
+                return `Stop ${i + 1} needs a location`;
+            }
+            if (stop.arrival && this.parseMinutes(stop.arrival) === null) {
+                return `Stop ${i + 1} arrival must be a time (HH:MM)`;
+            }
+            if (stop.waitMinutes !== undefined && stop.waitMinutes !== '' && !(parseFloat(stop.waitMinutes) >= 0)) {
+                return `Stop ${i + 1} wait must be zero or more minutes`;
+            }
+        }
+        return null;
+    },
+
+    parseMinutes: function(time) {
+        return this.travelTime.parseMinutes(time);
+    },
+
+    formatMinutes: function(minutes) {
+        const dayMinutes = ((Math.round(minutes) % 1440) + 1440) % 1440;
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(dayMinutes / 60))}:${pad(dayMinutes % 60)}`;
+    },
+
+    round: function(hours) {
+        return Math.round(hours * 100) / 100;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItineraryPlanner;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ItineraryPlanner = ItineraryPlanner;
+}
@@ -0,0 +1,53 @@
+/**
+ * TNT Local Store
+ * Browser localStorage persistence for the promo usage, gift certificate, quote and booking ledgers,
+ * and the YYYY-MM-DD date keys they record
+ */
+
+const LocalStore = {
+    /**
+     * Saved value for a key, or the fallback when nothing is saved, storage is unavailable (Node.js)
+     * or the saved value can't be read; label names the ledger in error logs
+     */
+    load: function(key, fallback, label) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return JSON.parse(localStorage.getItem(key)) || fallback;
+            }
+        } catch (error) {
+            console.error(`Error loading ${label}:`, error);
+        }
+        return fallback;
+    },
+
+    /**
+     * Save a value under a key; a full or unavailable store is logged, not thrown
+     */
+    save: function(key, value, label) {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            console.error(`Error saving ${label}:`, error);
+        }
+    },
+
+    /**
+     * Local calendar date as 'YYYY-MM-DD'; strings are taken as already being dates
+     */
+    toDateKey: function(date) {
+        if (typeof date === 'string') return date.slice(0, 10);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStore;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.LocalStore = LocalStore;
+}
@@ -0,0 +1,52 @@
+/**
+ * TNT Mock Flight Provider
+ * Local flight status provider for testing airport pickups without a live flight data feed.
+ * Every listed flight runs daily; unknown flights are not found.
+ */
+
+const MockFlightProvider = {
+    // Flight code → { arrival: 'HH:MM', delayMinutes, status, international, origin }
+    flights: {
+        'AA1234': { arrival: '14:30', delayMinutes: 0, status: 'scheduled', international: false, origin: 'CLT' },
+        'DL2210': { arrival: '17:45', delayMinutes: 75, status: 'delayed', international: false, origin: 'ATL' },
+        'UA890': { arrival: '19:10', delayMinutes: 20, status: 'delayed', international: false, origin: 'ORD' },
+        'BA293': { arrival: '16:05', delayMinutes: 95, status: 'delayed', international: true, origin: 'LHR' },
+        'WN455': { arrival: '09:20', delayMinutes: 0, status: 'cancelled', international: false, origin: 'MCO' }
+    },
+
+    getStatus: async function(flight, serviceDate) {
+        const entry = this.flights[flight];
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(serviceDate || '') ? serviceDate : null;
+        if (!entry || !date) return null;
+
+        const [year, month, day] = date.split('-').map(value => parseInt(value));
+        const [hours, minutes] = entry.arrival.split(':').map(value => parseInt(value));
+        const estimated = new Date(year, month - 1, day, hours, minutes + entry.delayMinutes);
+        const pad = value => String(value).padStart(2, '0');
+        const estimatedDate = `${estimated.getFullYear()}-${pad(estimated.getMonth() + 1)}-${pad(estimated.getDate())}`;
+
+        return {
+            flight: flight,
+            status: entry.status,
+            origin: entry.origin,
+            international: entry.international,
+            scheduledArrival: `${date}T${entry.arrival}`,
+            estimatedArrival: `${estimatedDate}T${pad(estimated.getHours())}:${pad(estimated.getMinutes())}`
+        };
+    }
+};
+
+// Use the mock until a live provider is configured
+if (typeof FlightStatus !== 'undefined' && !FlightStatus.provider) {
+    FlightStatus.setProvider(MockFlightProvider);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockFlightProvider;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MockFlightProvider = MockFlightProvider;
+}
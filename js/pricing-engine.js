@@ -0,0 +1,1209 @@
+/**
+ * TNT Pricing Engine
+ * Shared rate tables and quote calculation used by every pricing portal
+ */
+
+const PricingEngine = {
+    // Airport zone matrix (browser global, or required when running under Node.js)
+    zonePricing: typeof AirportZonePricing !== 'undefined' ? AirportZonePricing : require('./airport-zone-pricing.js'),
+
+    // Holiday calendar used to derive the day type from the service date
+    holidayCalendar: typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./holiday-calendar.js'),
+
+    // Promo code definitions and redemption tracking
+    promoCodes: typeof PromoCodes !== 'undefined' ? PromoCodes : require('./promo-codes.js'),
+
+    // Road miles and drive time between point-to-point pickup and dropoff coordinates
+    routing: typeof RouteDistance !== 'undefined' ? RouteDistance : require('./route-distance.js'),
+
+    // Airport pickup address, ZIP code or coordinates to pricing zone
+    zoneResolver: typeof ZoneResolver !== 'undefined' ? ZoneResolver : require('./zone-resolver.js'),
+
+    // Flight delay → pickup time and wait for airport pickups
+    flightStatus: typeof FlightStatus !== 'undefined' ? FlightStatus : require('./flight-status.js'),
+
+    // Vehicle names, units, seating, luggage and the services each vehicle runs
+    fleet: typeof FleetCatalog !== 'undefined' ? FleetCatalog : require('./fleet-catalog.js'),
+
+    // Multi-stop trips: stop timeline, legs and garage-to-garage hours
+    itineraryPlanner: typeof ItineraryPlanner !== 'undefined' ? ItineraryPlanner : require('./itinerary-planner.js'),
+
+    // Version and effective dates of the applied JSON rate card (null until one is loaded)
+    rateCard: null,
+
+    // Rate schedule (set by RateCard) used to price a service date with the card in effect that day
+    rateSchedule: null,
+
+    // Rate tables and policies, all supplied by the rate card (see docs/RATE-CARD-SCHEMA.md); empty until
+    // RateCard applies one, and quote() refuses to price without it
+
+    // Hourly rates by vehicle: { baseRate, driverGratuity, fuelSurcharge, mileageCharge, totalStandard, minimumHours }
+    hourlyRates: {},
+
+    // Point-to-point rates by vehicle: { baseRate, flatGratuity, fuelSurcharge, mileageCharge, totalStandard, minimumHours, billingIncrement }
+    pointToPointRates: {},
+
+    // Share of the point-to-point rate billed for additional time
+    additionalTimeRate: 0,
+
+    // Routed point-to-point trips bill mileage per road mile, never less than the flat mileage charge
+    pointToPointMileageRate: 0,
+
+    // Platform-specific overrides applied on top of the standard tables (premiums, contract airport rates)
+    platformRates: {},
+
+    // Discount and surcharge amounts (afterHours, longTrip, weekdayDiscount, shortNotice, multiVehicle, holiday, ...)
+    discountRules: {},
+
+    // How discounts combine: lower order applies first (compounding on the running price),
+    // stacks: false means the discount is never combined with another, excludes lists
+    // discounts it can't be combined with, and the combined discount is capped per platform
+    discountPolicy: { discounts: {}, maxCombinedDiscount: {} },
+
+    // Discounts the quote code detects; the rate card's discountPolicy configures these and no others
+    discountIds: ['weekday', 'longTrip', 'corporate', 'multiVehicle', 'shortNotice', 'promo'],
+
+    // Quotes may not be discounted below the trip's cost floor (driver pay, fuel and mileage):
+    // { action: 'clamp' (trim discounts back to the floor) | 'approval' (flag for dispatch), minimumMargin }
+    marginGuard: null,
+
+    // Out-of-area pickups: the drive from the nearest base (HQ, or a staged vehicle of the booked type and platform) to the
+    // pickup and from the dropoff back to that base is charged beyond the free miles, per chargeable mile
+    // plus a share of the vehicle's hourly rate for the chargeable drive time
+    deadheadPolicy: null,
+
+    // Cancellation fees by vehicle class (from the fleet catalog): each window charges percent of the booking
+    // total when cancelled at least hoursBefore pickup, most notice first. A platform entry replaces the
+    // windows for the classes it lists; a no-show is charged noShowPercent.
+    cancellationPolicy: null,
+
+    // Payment schedules. Retail and partner bookings pay a deposit by vehicle class with the balance due
+    // balanceDaysBefore the service date; a platform entry replaces the schedule for every vehicle:
+    // 'net' invoices after the trip, due netDays after service, and 'monthly' bills the trip on the statement
+    // issued on statementDay of the following month, due netDays after the statement.
+    paymentPolicy: null,
+
+    // GNET commission by tier: { standard, premium (airport trips) }
+    gnetCommission: {},
+
+    // Vehicle recommendations: configurations of up to maxVehicles vehicles, cheapest maxOptions returned
+    recommendationLimits: {
+        maxVehicles: 3,
+        maxOptions: 5
+    },
+
+    // GNET commission structure
+    gnetCommission: {
+        standard: 0.12, // 12%
+        premium: 0.15   // 15% for airport/luxury
+    },
+
+    // Peak-season and special-event pricing windows (supplied by the rate card)
+    // { id, name, start, end, vehicles?, serviceTypes?, platforms?,
+    //   adjustment: { type: 'percent' | 'flat', amount }, minimumHours? }
+    pricingWindows: [],
+
+    // Legacy airport keys used by older pages, mapped to airport codes
+    airportAliases: {
+        'richmond': 'ric',
+        'charlottesville': 'cho',
+        'williamsburg': 'phf',
+        'national': 'dca',
+        'dulles': 'iad',
+        'bwi': 'bwi'
+    },
+
+    // HQ zone used when a page does not ask for a pickup zone
+    defaultZone: 'central-virginia',
+
+    platformNames: {
+        'retail': 'Standard Rate',
+        'gnet': 'GNET Partner',
+        'groundspan': 'Groundspan Corporate',
+        'corporate': 'Corporate Client'
+    },
+
+    /**
+     * Map page-specific platform names onto engine platforms
+     */
+    normalizePlatform: function(platform) {
+        if (!platform || platform === 'standard') return 'retail';
+        return this.platformNames[platform] ? platform : 'retail';
+    },
+
+    /**
+     * Map legacy airport keys (e.g. 'dulles') onto airport codes (e.g. 'iad')
+     */
+    normalizeAirport: function(airportCode) {
+        return this.airportAliases[airportCode] || airportCode;
+    },
+
+    /**
+     * Days between today and the service date (same logic the pages used)
+     */
+    calculateDaysFromNow: function(serviceDate, today = new Date()) {
+        const service = new Date(serviceDate);
+        const diffTime = service - today;
+        return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    },
+
+    /**
+     * Get the hourly rate for a vehicle on a platform
+     */
+    getHourlyRate: function(vehicleType, platform) {
+        const vehicleData = this.hourlyRates[vehicleType];
+        if (!vehicleData) return null;
+
+        const overrides = this.platformRates[this.normalizePlatform(platform)];
+        return vehicleData.totalStandard + (overrides?.hourlyPremium || 0);
+    },
+
+    /**
+     * Point-to-point fare for one trip: 1 hour minimum, additional time in 30-minute increments at 70%,
+     * and mileage from routed miles when a route is known. Returns { lines, price, costFloor }.
+     */
+    getPointToPointFare: function(vehicleType, estimatedTime, route) {
+        const p2pData = this.pointToPointRates[vehicleType];
+        const mileageCharge = route ? Math.max(p2pData.mileageCharge, route.miles * this.pointToPointMileageRate) : p2pData.mileageCharge;
+
+        // Calculate billing time (30-minute increments after 1 hour minimum)
+        const billingTime = Math.max(estimatedTime, p2pData.minimumHours);
+        const additionalTime = Math.max(billingTime - p2pData.minimumHours, 0);
+        const billedAdditionalTime = Math.ceil(additionalTime / p2pData.billingIncrement) * p2pData.billingIncrement;
+        const additionalRate = p2pData.totalStandard * this.additionalTimeRate;
+
+        const lines = [
+            {item: 'Base Vehicle Rate (1 hr minimum)', amount: p2pData.baseRate},
+            {item: 'Driver Gratuity (Flat)', amount: p2pData.flatGratuity},
+            {item: 'Fuel Surcharge', amount: p2pData.fuelSurcharge},
+            mileageCharge > p2pData.mileageCharge
+                ? {item: `Mileage Charge (${route.miles} mi × $${this.pointToPointMileageRate.toFixed(2)})`, amount: mileageCharge}
+                : {item: 'Mileage Charge', amount: mileageCharge}
+        ];
+        if (billedAdditionalTime > 0) {
+            lines.push({item: `Additional Time (${billedAdditionalTime} hrs × $${additionalRate.toFixed(0)})`, amount: additionalRate * billedAdditionalTime});
+        }
+
+        return {
+            lines: lines,
+            billedAdditionalTime: billedAdditionalTime,
+            price: p2pData.totalStandard - p2pData.mileageCharge + mileageCharge + (billedAdditionalTime * additionalRate),
+            costFloor: p2pData.flatGratuity + p2pData.fuelSurcharge + mileageCharge + this.getHourlyCost(vehicleType) * billedAdditionalTime
+        };
+    },
+
+    /**
+     * Get the one-way airport rate for a vehicle, zone and airport on a platform
+     */
+    getAirportRate: function(vehicleType, zone, airportCode, platform) {
+        const airport = this.normalizeAirport(airportCode);
+        const overrides = this.platformRates[this.normalizePlatform(platform)];
+        const contractRate = overrides?.airportRates?.[vehicleType]?.[airport];
+        if (contractRate) return contractRate;
+
+        const zoneRate = this.zonePricing.getRate(vehicleType, zone || this.defaultZone, airport);
+        if (!zoneRate) return null;
+
+        return overrides?.airportPremium ? zoneRate * (1 + overrides.airportPremium) : zoneRate;
+    },
+
+    /**
+     * Calculate a complete quote
+     *
+     * request: { serviceType, vehicleType, hours, dayType, estimatedTime, distance,
+     *            pickup, dropoff, pickupAddress, dropoffAddress, pickupZone, airportCode, tripType,
+     *            direction ('to-airport' | 'from-airport'), meetAndGreet, waitMinutes, internationalFlight,
+     *            flightStatus (from FlightStatus.lookup, for the flight being picked up),
+     *            stops (multi-stop: [{ location, arrival, waitMinutes }], see ItineraryPlanner.plan),
+     *            passengers, luggage (checked against the fleet catalog),
+     *            serviceDate, serviceTime, vehicleCount, groupVehicleCount (vehicles in the whole booking when it
+     *            mixes vehicle types), bookingNotice, quoteDate, promoCode, customerId }
+     * platform: 'retail' | 'standard' | 'gnet' | 'groundspan' | 'corporate'
+     */
+    quote: function(request, platform) {
+        // Nothing to price with until a rate card is in effect today or on the service date
+        const datedCard = this.rateSchedule && request.serviceDate ? this.rateSchedule.getCardForDate(request.serviceDate) : null;
+        if (!this.rateCard && !datedCard) {
+            return { success: false, error: 'Rates are not available right now. Please try again later.' };
+        }
+        if (this.rateSchedule && request.serviceDate) {
+            return this.rateSchedule.withRatesFor(request.serviceDate, () => this.calculateQuote(request, platform));
+        }
+        return this.calculateQuote(request, platform);
+    },
+
+    /**
+     * Calculate a quote with the rate tables currently applied
+     */
+    calculateQuote: function(request, platform) {
+        const platformKey = this.normalizePlatform(platform);
+        const serviceType = request.serviceType;
+        const vehicleType = request.vehicleType;
+        const vehicleData = this.hourlyRates[vehicleType];
+        const vehicle = this.fleet.get(vehicleType);
+        const isGroundspan = platformKey === 'groundspan';
+        const overrides = this.platformRates[platformKey] || {};
+        const rules = this.discountRules;
+
+        if (!vehicleData || !vehicle) {
+            return { success: false, error: `Unknown vehicle type: ${vehicleType}` };
+        }
+
+        // Services no vehicle runs fall through to the unknown service type error below
+        const offered = Object.keys(this.fleet.vehicles).some(key => this.fleet.isEligible(key, serviceType));
+        if (offered && !this.fleet.isEligible(vehicleType, serviceType)) {
+            return { success: false, error: `The ${vehicle.name} is not available for ${serviceType} service` };
+        }
+
+        // A party too large for the vehicles booked is turned away with the smallest vehicle that fits
+        const vehicleCount = Math.max(parseInt(request.vehicleCount) || 1, 1);
+        const capacity = request.passengers || request.luggage ?
+            this.fleet.checkCapacity(vehicleType, request.passengers, request.luggage, serviceType, vehicleCount) : null;
+        if (capacity && !capacity.fits) {
+            return { success: false, error: this.getCapacityError(vehicle, capacity), suggestedVehicle: capacity.upgrade };
+        }
+
+        let basePrice = 0;
+        let standardPrice = 0;
+        const serviceDetails = [];
+        const rateBreakdown = [];
+        const adjustments = [];
+        const appliedDiscounts = [];
+
+        // Discounts the trip qualifies for; the discount policy decides which apply and how they combine
+        const eligibleDiscounts = [];
+
+        serviceDetails.push({item: 'Vehicle', value: `${vehicle.name}${vehicle.units.length ? ' (' + this.fleet.getUnits(vehicleType) + ')' : ''}`});
+        serviceDetails.push({item: 'Capacity', value: `${vehicle.seats} passengers, ${vehicle.luggage} bags`});
+        serviceDetails.push({item: 'Platform', value: this.platformNames[platformKey]});
+
+        const dayType = this.getDayType(request);
+        const pricingWindows = this.getPricingWindows(request, platformKey);
+        let billedHours = null;
+        let routeDistance = null;
+        const serviceFees = [];
+        let passThroughCosts = [];
+        let driverHours = null;
+        let multiStop = null;
+        // Service type whose discount rules apply; multi-stop trips take the type they were priced as
+        let pricedAs = serviceType;
+        let costFloor = 0;
+        const holidayName = request.serviceDate ? this.holidayCalendar.getHoliday(request.serviceDate) : null;
+
+        if (serviceType === 'hourly') {
+            const hours = parseInt(request.hours) || 0;
+            const peakMinimum = pricingWindows.find(pricingWindow => pricingWindow.minimumHours > vehicleData.minimumHours);
+            const minimumHours = Math.max(vehicleData.minimumHours, ...pricingWindows.map(pricingWindow => pricingWindow.minimumHours || 0));
+            const actualHours = Math.max(hours, minimumHours);
+            billedHours = actualHours;
+
+            serviceDetails.push({item: 'Service Type', value: `Hourly (${actualHours} hours)`});
+            if (peakMinimum) {
+                serviceDetails.push({item: 'Minimum Hours', value: `${minimumHours} hours (${peakMinimum.name})`});
+            }
+            serviceDetails.push({item: 'Day Type', value: holidayName ? `Holiday (${holidayName})` : this.getDayTypeDisplay(dayType)});
+
+            rateBreakdown.push({item: `Base Vehicle Rate (${actualHours} hrs × $${vehicleData.baseRate})`, amount: vehicleData.baseRate * actualHours});
+            rateBreakdown.push({item: `Driver Gratuity (${actualHours} hrs × $${vehicleData.driverGratuity})`, amount: vehicleData.driverGratuity * actualHours});
+            rateBreakdown.push({item: `Fuel Surcharge (${actualHours} hrs × $${vehicleData.fuelSurcharge})`, amount: vehicleData.fuelSurcharge * actualHours});
+            rateBreakdown.push({item: `Mileage Charge (${actualHours} hrs × $${vehicleData.mileageCharge})`, amount: vehicleData.mileageCharge * actualHours});
+
+            standardPrice = vehicleData.totalStandard * actualHours;
+            costFloor = this.getHourlyCost(vehicleType) * actualHours;
+
+            if (isGroundspan) {
+                rateBreakdown.push({item: `Corporate Premium (${actualHours} hrs × $${overrides.hourlyPremium})`, amount: overrides.hourlyPremium * actualHours, premium: true});
+                basePrice = this.getHourlyRate(vehicleType, platformKey) * actualHours;
+            } else {
+                basePrice = standardPrice;
+
+                if (dayType === 'holiday') {
+                    const surcharge = basePrice * rules.holiday;
+                    adjustments.push({item: 'Holiday Surcharge (25%)', amount: surcharge});
+                    basePrice += surcharge;
+                }
+            }
+
+            if (hours >= 6) {
+                eligibleDiscounts.push('longTrip');
+            }
+
+        } else if (serviceType === 'point-to-point') {
+            let estimatedTime = parseFloat(request.estimatedTime) || 1;
+
+            // Pickup/dropoff coordinates replace the customer's time and distance estimates with the routed trip
+            let route = null;
+            if (request.pickup || request.dropoff) {
+                route = this.routing.getRoute(request.pickup, request.dropoff);
+                if (!route) {
+                    return { success: false, error: 'Pickup and dropoff locations could not be routed. Enter a known place or coordinates as "latitude, longitude".' };
+                }
+                estimatedTime = Math.max(estimatedTime, route.driveHours);
+            }
+
+            serviceDetails.push({item: 'Service Type', value: `Point-to-Point (${estimatedTime} hrs estimated)`});
+            if (route) {
+                serviceDetails.push({item: 'Route', value: `${route.from.name} → ${route.to.name}`});
+                serviceDetails.push({item: 'Distance', value: `${route.miles} miles, ${Math.round(route.driveHours * 60)} min drive${route.source === 'estimate' ? ' (estimated)' : ''}`});
+            } else if (request.distance) {
+                serviceDetails.push({item: 'Distance', value: this.getDistanceDisplay(request.distance)});
+            }
+            serviceDetails.push({item: 'Billing', value: 'No hourly driver pay - flat rate'});
+
+            const fare = this.getPointToPointFare(vehicleType, estimatedTime, route);
+            fare.lines.forEach(line => rateBreakdown.push(line));
+
+            basePrice = fare.price;
+            costFloor = fare.costFloor;
+            standardPrice = basePrice;
+            routeDistance = route ? { miles: route.miles, driveHours: route.driveHours, source: route.source } : null;
+
+            if (isGroundspan) {
+                const corporatePremium = basePrice * overrides.pointToPointPremium;
+                rateBreakdown.push({item: `Corporate Premium (${Math.round(overrides.pointToPointPremium * 100)}%)`, amount: corporatePremium, premium: true});
+                basePrice += corporatePremium;
+            }
+
+        } else if (serviceType === 'airport') {
+            // Airport pickups run airport → zone; the zone-side address is where the trip starts or ends
+            const isAirportPickup = request.direction === 'from-airport';
+            const zoneAddress = isAirportPickup ? request.dropoffAddress : request.pickupAddress;
+
+            // The address decides the zone; the chosen zone is only a fallback when the address can't be placed
+            const resolvedZone = zoneAddress ? this.zoneResolver.resolve(zoneAddress) : null;
+            if (zoneAddress && !resolvedZone && !request.pickupZone) {
+                return {
+                    success: false,
+                    error: `We could not find the ${isAirportPickup ? 'drop-off' : 'pickup'} address in our service area. Please include the city or ZIP code.`
+                };
+            }
+
+            const pickupZone = resolvedZone ? resolvedZone.zone : (request.pickupZone || this.defaultZone);
+            const airport = this.normalizeAirport(request.airportCode);
+            const zoneRate = this.zonePricing.getRate(vehicleType, pickupZone, airport);
+            const oneWayRate = this.getAirportRate(vehicleType, pickupZone, airport, platformKey);
+
+            if (!oneWayRate) {
+                return {
+                    success: false,
+                    error: `Airport transfer from ${this.zonePricing.zones[pickupZone] || pickupZone} to ${this.zonePricing.airports[airport] || airport} is not available for this vehicle type. Please select a different combination.`
+                };
+            }
+
+            const isRoundTrip = request.tripType === 'round-trip';
+            const tripMultiplier = isRoundTrip ? (overrides.roundTripMultiplier || rules.roundTripMultiplier) : 1;
+
+            // A tracked flight's delay is waited out from the scheduled arrival; past the grace period it is billable
+            const hasAirportPickup = isAirportPickup || isRoundTrip;
+            const flightPlan = request.flightStatus && hasAirportPickup ? this.flightStatus.getPickupPlan(request.flightStatus, airport) : null;
+            const waitMinutes = Math.max(parseFloat(request.waitMinutes) || 0, flightPlan ? flightPlan.waitMinutes : 0);
+
+            const itinerary = this.zonePricing.getRouteDetails(vehicleType,
+                isAirportPickup ? airport : pickupZone,
+                isAirportPickup ? pickupZone : airport, {
+                    roundTrip: isRoundTrip,
+                    returnLegShare: tripMultiplier - 1,
+                    meetAndGreet: request.meetAndGreet,
+                    waitMinutes: waitMinutes,
+                    international: flightPlan ? request.flightStatus.international : request.internationalFlight,
+                    waitRatePerHour: vehicleData.totalStandard,
+                    serviceDate: request.serviceDate,
+                    pickupTime: isAirportPickup && flightPlan ? flightPlan.pickupTime : request.serviceTime,
+                    returnPickupTime: isRoundTrip && flightPlan ? flightPlan.pickupTime : null
+                });
+
+            serviceDetails.push({item: 'Service Type', value: isAirportPickup ? 'Airport Pickup' : 'Airport Transfer'});
+            serviceDetails.push({item: isAirportPickup ? 'Drop-off Zone' : 'Pickup Zone', value: resolvedZone ? `${resolvedZone.zoneName} (from ${isAirportPickup ? 'drop-off' : 'pickup'} ${this.getZoneMatchDisplay(resolvedZone.matchedBy)})` : this.zonePricing.zones[pickupZone]});
+            serviceDetails.push({item: 'Airport', value: this.zonePricing.airports[airport]});
+            if (itinerary) {
+                serviceDetails.push({item: 'Route', value: itinerary.route});
+            }
+            if (itinerary && itinerary.hoursRange) {
+                serviceDetails.push({item: 'Estimated Hours', value: `${itinerary.estimatedHours} hours (${itinerary.hoursRange.low}-${itinerary.hoursRange.high} with traffic, incl. return to HQ)`});
+                driverHours = itinerary.driverHours;
+            }
+            serviceDetails.push({item: 'Trip Type', value: isRoundTrip ? 'Round Trip' : 'One Way'});
+            serviceDetails.push({item: 'Rate Type', value: 'Flat Rate (zone-based)'});
+            if (flightPlan) {
+                serviceDetails.push({item: 'Flight', value: this.getFlightDisplay(flightPlan)});
+            }
+
+            // One line per leg, followed by the tolls and parking it includes; contract rates without
+            // a zone route are billed as a single line
+            if (itinerary) {
+                const legRate = isGroundspan ? zoneRate : oneWayRate;
+                itinerary.legs.forEach((leg, index) => {
+                    const label = itinerary.legs.length > 1 ? `${index === 0 ? 'Outbound' : 'Return'}: ` : '';
+                    rateBreakdown.push({item: `${label}${leg.from.name} → ${leg.to.name}`, amount: legRate * leg.share - leg.includedCosts, description: 'Transport, gratuity & fuel'});
+                    leg.costs.forEach(cost => {
+                        rateBreakdown.push({item: `${cost.type === 'toll' ? 'Toll' : 'Parking'}: ${cost.item}`, amount: cost.amount, passThrough: true});
+                    });
+                });
+                passThroughCosts = itinerary.costs;
+            } else {
+                rateBreakdown.push({item: 'Corporate Contract Rate', amount: oneWayRate * tripMultiplier, description: 'Includes transport, gratuity, fuel, tolls & parking'});
+            }
+            if (isGroundspan && zoneRate) {
+                rateBreakdown.push({item: 'Corporate Premium', amount: (oneWayRate - zoneRate) * tripMultiplier, premium: true});
+            }
+
+            basePrice = oneWayRate * tripMultiplier;
+            standardPrice = (zoneRate || oneWayRate) * tripMultiplier;
+            const estimatedHours = itinerary ? itinerary.estimatedHours : this.zonePricing.getEstimatedHours(pickupZone, airport, request) * (isRoundTrip ? 2 : 1);
+            costFloor = this.getHourlyCost(vehicleType) * (estimatedHours || 0);
+
+            // Meet-and-greet and wait time are service fees, added after discounts like the after-hours fee
+            if (itinerary) {
+                itinerary.legs.forEach(leg => leg.fees.forEach(fee => serviceFees.push(fee)));
+            }
+
+        } else if (serviceType === 'multi-stop') {
+            const planned = this.itineraryPlanner.plan(request.stops, {serviceTime: request.serviceTime});
+            if (!planned.success) {
+                return { success: false, error: planned.error };
+            }
+            const itinerary = planned.itinerary;
+            const lastStop = itinerary.stops[itinerary.stops.length - 1];
+
+            // Hourly: garage-to-garage time in whole hours, at least the vehicle (or peak-season) minimum
+            const minimumHours = Math.max(vehicleData.minimumHours, ...pricingWindows.map(pricingWindow => pricingWindow.minimumHours || 0));
+            const hourlyHours = Math.max(Math.ceil(itinerary.garageHours), minimumHours);
+            const hourlyRate = isGroundspan ? this.getHourlyRate(vehicleType, platformKey) : vehicleData.totalStandard;
+            const hourlyPrice = hourlyRate * hourlyHours * (!isGroundspan && dayType === 'holiday' ? 1 + rules.holiday : 1);
+
+            // Chained point-to-point: each leg billed as its own trip, covering the wait before it
+            const legFares = itinerary.legs.map(leg => this.getPointToPointFare(vehicleType, leg.hours, leg.route));
+            const chainedStandard = legFares.reduce((sum, fare) => sum + fare.price, 0);
+            const chainedPrice = chainedStandard * (isGroundspan ? 1 + overrides.pointToPointPremium : 1);
+
+            pricedAs = hourlyPrice <= chainedPrice ? 'hourly' : 'point-to-point';
+
+            serviceDetails.push({item: 'Service Type', value: `Multi-Stop (${itinerary.stops.length} stops, ${pricedAs === 'hourly' ? `hourly ${hourlyHours} hours` : 'point-to-point legs'})`});
+            serviceDetails.push({item: 'Route', value: itinerary.stops.map(stop => stop.arrival ? `${stop.name} (${stop.arrival})` : stop.name).join(' → ')});
+            serviceDetails.push({item: 'Garage-to-Garage', value: `${itinerary.garageHours} hours`});
+            serviceDetails.push({item: 'Pricing Options', value: `Hourly $${hourlyPrice.toFixed(2)} / Point-to-point legs $${chainedPrice.toFixed(2)} - cheaper applied`});
+            serviceDetails.push({item: 'Day Type', value: holidayName ? `Holiday (${holidayName})` : this.getDayTypeDisplay(dayType)});
+            itinerary.warnings.forEach(warning => serviceDetails.push({item: 'Schedule', value: warning}));
+
+            if (pricedAs === 'hourly') {
+                // Garage-to-garage time split by leg; rounding up to whole hours or the minimum goes on its own line
+                const legLines = [{item: `Garage → ${itinerary.stops[0].name}`, hours: itinerary.deadheadHours.toFirstStop}]
+                    .concat(itinerary.legs.map(leg => ({item: `Leg ${leg.number}: ${leg.from} → ${leg.to} (${this.getLegTimeDisplay(leg)})`, hours: leg.hours})))
+                    .concat([{item: `${lastStop.name} → Garage`, hours: itinerary.deadheadHours.fromLastStop}]);
+                legLines.filter(line => line.hours > 0).forEach(line => {
+                    rateBreakdown.push({item: `${line.item} - ${line.hours} hrs × $${vehicleData.totalStandard}`, amount: vehicleData.totalStandard * line.hours});
+                });
+
+                const roundingHours = Math.round((hourlyHours - itinerary.garageHours) * 100) / 100;
+                if (roundingHours > 0) {
+                    const label = hourlyHours > Math.ceil(itinerary.garageHours) ? `${minimumHours} Hour Minimum` : 'Rounded Up to the Hour';
+                    rateBreakdown.push({item: `${label} - ${roundingHours} hrs × $${vehicleData.totalStandard}`, amount: vehicleData.totalStandard * roundingHours});
+                }
+
+                billedHours = hourlyHours;
+                standardPrice = vehicleData.totalStandard * hourlyHours;
+                costFloor = this.getHourlyCost(vehicleType) * hourlyHours;
+
+                if (isGroundspan) {
+                    rateBreakdown.push({item: `Corporate Premium (${hourlyHours} hrs × $${overrides.hourlyPremium})`, amount: overrides.hourlyPremium * hourlyHours, premium: true});
+                    basePrice = hourlyRate * hourlyHours;
+                } else {
+                    basePrice = standardPrice;
+
+                    if (dayType === 'holiday') {
+                        const surcharge = basePrice * rules.holiday;
+                        adjustments.push({item: 'Holiday Surcharge (25%)', amount: surcharge});
+                        basePrice += surcharge;
+                    }
+                }
+
+                if (hourlyHours >= 6) {
+                    eligibleDiscounts.push('longTrip');
+                }
+            } else {
+                itinerary.legs.forEach((leg, index) => {
+                    rateBreakdown.push({
+                        item: `Leg ${leg.number}: ${leg.from} → ${leg.to} (${this.getLegTimeDisplay(leg)})`,
+                        amount: legFares[index].price,
+                        description: legFares[index].lines.map(line => line.item).join(', ')
+                    });
+                });
+
+                basePrice = chainedStandard;
+                standardPrice = chainedStandard;
+                costFloor = legFares.reduce((sum, fare) => sum + fare.costFloor, 0);
+
+                if (isGroundspan) {
+                    const corporatePremium = chainedStandard * overrides.pointToPointPremium;
+                    rateBreakdown.push({item: `Corporate Premium (${Math.round(overrides.pointToPointPremium * 100)}%)`, amount: corporatePremium, premium: true});
+                    basePrice += corporatePremium;
+                }
+            }
+
+            multiStop = {
+                stops: itinerary.stops,
+                legs: itinerary.legs.map((leg, index) => Object.assign({}, leg, {fare: legFares[index].price})),
+                garageHours: itinerary.garageHours,
+                pricedAs: pricedAs,
+                options: {hourly: hourlyPrice, pointToPoint: chainedPrice},
+                warnings: itinerary.warnings
+            };
+
+        } else {
+            return { success: false, error: `Unknown service type: ${serviceType}` };
+        }
+
+        // Deadhead from the nearest base is a service fee, added after discounts
+        const deadhead = this.deadheadPolicy.serviceTypes.includes(serviceType) ?
+            this.getDeadhead(vehicleType, this.getServicePoint(request.pickup || request.pickupAddress), this.getServicePoint(request.dropoff || request.dropoffAddress), platformKey) : null;
+        if (deadhead && (deadhead.amount > 0 || deadhead.staged)) {
+            serviceDetails.push({item: 'Vehicle Base', value: this.getDeadheadDisplay(deadhead)});
+            deadhead.legs.filter(leg => leg.amount > 0).forEach(leg => {
+                serviceFees.push({item: `Deadhead ${leg.direction} (${leg.chargeableMiles} mi beyond ${this.deadheadPolicy.freeMiles} free)`, amount: leg.amount, deadhead: true});
+            });
+        }
+
+        // Peak-season and special-event adjustments, each on its own line
+        pricingWindows.forEach(pricingWindow => {
+            const adjustment = pricingWindow.adjustment;
+            const amount = adjustment.type === 'percent' ? basePrice * adjustment.amount : adjustment.amount;
+            const label = adjustment.type === 'percent' ? `+${Math.round(adjustment.amount * 100)}%` : `+$${adjustment.amount}`;
+            adjustments.push({item: `${pricingWindow.name} (${label})`, amount: amount, pricingWindow: pricingWindow.id || pricingWindow.name});
+            basePrice += amount;
+        });
+
+        if (dayType === 'weekday') eligibleDiscounts.push('weekday');
+        if (Math.max(parseInt(request.groupVehicleCount) || 0, vehicleCount) > 1) eligibleDiscounts.push('multiVehicle');
+        if (this.getBookingNotice(request) === 'short') eligibleDiscounts.push('shortNotice');
+        eligibleDiscounts.push('corporate');
+
+        let promoCode = null;
+        if (request.promoCode) {
+            const today = request.quoteDate ? new Date(request.quoteDate) : new Date();
+            const promoCheck = this.promoCodes.validate(request.promoCode, request, platformKey, today);
+            promoCode = {code: this.promoCodes.normalizeCode(request.promoCode), applied: false, amount: 0};
+
+            if (promoCheck.valid) {
+                const promo = promoCheck.promo;
+                eligibleDiscounts.push(Object.assign(
+                    {id: 'promo', label: `Promo Code ${promo.code}`, type: `Promo Code ${promo.code}`},
+                    promo.type === 'percent' ? {rate: promo.value} : {flatAmount: promo.value / vehicleCount}
+                ));
+            } else {
+                promoCode.error = promoCheck.error;
+                serviceDetails.push({item: 'Promo Code', value: `${promoCode.code} not applied - ${promoCheck.error}`});
+            }
+        }
+
+        const discounts = this.applyDiscountPolicy(eligibleDiscounts, basePrice, platformKey, pricedAs);
+        const marginGuard = this.applyMarginGuard(discounts.applied, basePrice, costFloor);
+        if (marginGuard.requiresApproval) {
+            serviceDetails.push({item: 'Dispatcher Approval', value: `Required - quote is below the $${marginGuard.costFloor.toFixed(2)} trip cost floor`});
+        }
+        if (driverHours && !driverHours.withinLimits) {
+            serviceDetails.push({item: 'Dispatcher Approval', value: `Required - up to ${driverHours.drivingHours} driving hours exceeds the ${driverHours.exceeded.join(' and ')}; a relief driver is needed`});
+        }
+
+        const promoDiscount = discounts.applied.find(discount => discount.id === 'promo' && discount.amount > 0);
+        if (promoDiscount) {
+            promoCode.applied = true;
+            promoCode.amount = promoDiscount.amount * vehicleCount;
+        } else if (promoCode && !promoCode.error) {
+            promoCode.error = 'Promo code cannot be combined with the discounts on this trip';
+            serviceDetails.push({item: 'Promo Code', value: `${promoCode.code} not applied - ${promoCode.error}`});
+        }
+
+        discounts.applied.filter(discount => discount.amount > 0).forEach(discount => {
+            adjustments.push({item: discount.item, amount: -discount.amount, savings: true});
+            appliedDiscounts.push({type: discount.type, amount: discount.amount});
+            basePrice -= discount.amount;
+        });
+
+        // After-hours pickup fee (flat, not discounted; Groundspan contract rates include it)
+        if (!isGroundspan && request.serviceTime) {
+            const hour = parseInt(request.serviceTime.split(':')[0]);
+            if (hour >= 23 || hour < 6) {
+                adjustments.push({item: 'After-Hours Pickup Fee (11pm-6am)', amount: rules.afterHours});
+                basePrice += rules.afterHours;
+            }
+        }
+
+        serviceFees.forEach(fee => {
+            adjustments.push(Object.assign({}, fee));
+            basePrice += fee.amount;
+        });
+
+        // Multiply by vehicle count
+        if (vehicleCount > 1) {
+            serviceDetails.push({item: 'Vehicle Count', value: `${vehicleCount} vehicles`});
+            basePrice *= vehicleCount;
+            standardPrice *= vehicleCount;
+        }
+
+        // Round to the cent once, so saved quotes, bookings and payment schedules carry exact amounts
+        basePrice = Math.round(basePrice * 100) / 100;
+        standardPrice = Math.round(standardPrice * 100) / 100;
+
+        const result = {
+            success: true,
+            platform: platformKey,
+            serviceType: serviceType,
+            vehicleType: vehicleType,
+            vehicle: Object.assign({}, vehicle, vehicleData),
+            capacity: capacity,
+            serviceDetails: serviceDetails,
+            rateBreakdown: rateBreakdown,
+            adjustments: adjustments,
+            appliedDiscounts: appliedDiscounts,
+            standardPrice: standardPrice,
+            total: basePrice,
+            savings: Math.max(Math.round((standardPrice - basePrice) * 100) / 100, 0),
+            billedHours: billedHours,
+            route: routeDistance,
+            deadhead: deadhead,
+            passThroughCosts: passThroughCosts,
+            itinerary: multiStop,
+            discountCap: discounts.cap,
+            marginGuard: marginGuard,
+            driverHours: driverHours,
+            requiresApproval: marginGuard.requiresApproval || Boolean(driverHours && !driverHours.withinLimits),
+            promoCode: promoCode,
+            rateCardVersion: this.rateCard.version,
+            commission: null
+        };
+
+        if (platformKey === 'gnet') {
+            const commissionRate = serviceType === 'airport' ? this.gnetCommission.premium : this.gnetCommission.standard;
+            result.commission = {
+                rate: commissionRate,
+                tier: commissionRate === this.gnetCommission.premium ? 'premium' : 'standard',
+                amount: Math.round(basePrice * commissionRate * 100) / 100
+            };
+        }
+
+        return result;
+    },
+
+    /**
+     * Deadhead for a trip: the nearest base to the pickup (HQ or a staged vehicle of this type), the drive
+     * there and back from the dropoff (or the pickup when there is none), and the charge beyond the free miles.
+     * Returns { base, miles, chargeableMiles, amount, legs } or null when the pickup can't be placed.
+     */
+    getDeadhead: function(vehicleType, pickup, dropoff, platform) {
+        const policy = this.deadheadPolicy;
+        if (!pickup) return null;
+
+        const bases = [policy.base].concat((policy.stagedVehicles || [])
+            .filter(staged => (!staged.vehicles || staged.vehicles.includes(vehicleType)) && (!staged.platforms || staged.platforms.includes(platform))));
+        const nearest = bases
+            .map(base => ({ base: base, route: this.routing.getRoute(base.location, pickup) }))
+            .filter(candidate => candidate.route)
+            .sort((a, b) => a.route.miles - b.route.miles)[0];
+        if (!nearest) return null;
+
+        const routes = [{ direction: 'to pickup', route: nearest.route }];
+        if (policy.includeReturn) {
+            const inbound = (dropoff && this.routing.getRoute(dropoff, nearest.base.location)) || this.routing.getRoute(pickup, nearest.base.location);
+            routes.push({ direction: 'back to base', route: inbound });
+        }
+
+        // Only the miles beyond the free distance are charged, with the matching share of the drive time
+        const hourlyRate = this.getHourlyRate(vehicleType, platform);
+        const legs = routes.map(({ direction, route }) => {
+            const chargeableMiles = Math.max(route.miles - policy.freeMiles, 0);
+            const chargeableHours = route.miles > 0 ? route.driveHours * chargeableMiles / route.miles : 0;
+            return {
+                direction: direction,
+                from: route.from.name,
+                to: route.to.name,
+                miles: route.miles,
+                driveHours: route.driveHours,
+                chargeableMiles: Math.round(chargeableMiles * 10) / 10,
+                amount: Math.round((chargeableMiles * policy.ratePerMile + chargeableHours * hourlyRate * policy.hourlyShare) * 100) / 100
+            };
+        });
+        const total = field => Math.round(legs.reduce((sum, leg) => sum + leg[field], 0) * 100) / 100;
+
+        return {
+            base: nearest.base.name,
+            staged: nearest.base !== policy.base,
+            miles: total('miles'),
+            chargeableMiles: total('chargeableMiles'),
+            amount: total('amount'),
+            legs: legs
+        };
+    },
+
+    /**
+     * Where an address is for deadhead: place keys and coordinates as given; otherwise the pickup zone
+     * (by ZIP, coordinates, then city), else a place named by the city or outside the street line, or null
+     */
+    getServicePoint: function(location) {
+        const routing = this.routing;
+        if (!location || typeof location !== 'string' || routing.places[location.trim().toLowerCase()] || routing.parseCoordinates(location)) {
+            return location || null;
+        }
+
+        const zone = this.zoneResolver.resolve(location);
+        if (zone && routing.places[zone.zone]) {
+            return zone.zone;
+        }
+        return routing.findPlaceInText(routing.getCity(location)) || routing.findPlaceInText(location);
+    },
+
+    getDeadheadDisplay: function(deadhead) {
+        const outbound = deadhead.legs[0];
+        const distance = `${outbound.miles} miles, ${Math.round(outbound.driveHours * 60)} min to pickup`;
+        return deadhead.amount > 0 ? `${deadhead.base} (${distance})` : `${deadhead.base} (${distance} - no deadhead charge)`;
+    },
+
+    /**
+     * Cancellation windows for a vehicle on a platform, most notice first
+     */
+    getCancellationWindows: function(vehicleType, platform) {
+        const policy = this.cancellationPolicy;
+        const vehicle = this.fleet.get(vehicleType);
+        if (!vehicle) return null;
+
+        const overrides = policy.platforms[this.normalizePlatform(platform)] || {};
+        const windows = overrides[vehicle.vehicleClass] || policy.classes[vehicle.vehicleClass];
+        return windows ? windows.slice().sort((a, b) => b.hoursBefore - a.hoursBefore) : null;
+    },
+
+    /**
+     * Fee for cancelling a booked trip at cancelledAt (or for a no-show). Cancelling after the pickup time
+     * falls in the last window. Without a service date the trip counts as cancelled with the most notice.
+     * Returns { vehicleClass, hoursBefore, percent, amount, noShow, description } or null for an unknown vehicle.
+     */
+    getCancellationFee: function(request, total, platform, cancelledAt = new Date(), noShow = false) {
+        const windows = this.getCancellationWindows(request.vehicleType, platform);
+        if (!windows) return null;
+
+        const pickup = this.getPickupTime(request);
+        const hoursBefore = pickup ? Math.round((pickup - new Date(cancelledAt)) / 36000) / 100 : null;
+        const window = hoursBefore === null ? windows[0] : (windows.find(candidate => hoursBefore >= candidate.hoursBefore) || windows[windows.length - 1]);
+        const percent = noShow ? this.cancellationPolicy.noShowPercent : window.percent;
+
+        return {
+            vehicleClass: this.fleet.get(request.vehicleType).vehicleClass,
+            hoursBefore: hoursBefore,
+            percent: percent,
+            amount: Math.round(total * percent * 100) / 100,
+            noShow: noShow,
+            description: noShow ? `No-show: ${Math.round(percent * 100)}% of the trip` : this.getCancellationWindowDisplay(window, windows)
+        };
+    },
+
+    /**
+     * Cancellation terms as lines for booking pages, e.g. 'Free cancellation 48+ hours before pickup'
+     */
+    getCancellationTerms: function(vehicleType, platform) {
+        const windows = this.getCancellationWindows(vehicleType, platform);
+        if (!windows) return [];
+        return windows.map(window => this.getCancellationWindowDisplay(window, windows))
+            .concat([`No-show: ${Math.round(this.cancellationPolicy.noShowPercent * 100)}% of the trip`]);
+    },
+
+    getCancellationWindowDisplay: function(window, windows) {
+        const index = windows.indexOf(window);
+        const fee = window.percent > 0 ? `${Math.round(window.percent * 100)}% fee` : 'Free cancellation';
+        if (index === windows.length - 1) {
+            return index === 0 ? `${fee} at any time` : `${fee} within ${windows[index - 1].hoursBefore} hours of pickup`;
+        }
+        return index === 0 || window.hoursBefore === 0
+            ? `${fee} ${window.hoursBefore}+ hours before pickup`
+            : `${fee} ${window.hoursBefore}-${windows[index - 1].hoursBefore} hours before pickup`;
+    },
+
+    /**
+     * Payment terms for a vehicle on a platform: the platform's schedule, or the vehicle class deposit
+     */
+    getPaymentTerms: function(vehicleType, platform) {
+        const policy = this.paymentPolicy;
+        const vehicle = this.fleet.get(vehicleType);
+        const terms = policy.platforms[this.normalizePlatform(platform)] || (vehicle && policy.classes[vehicle.vehicleClass]);
+        return terms ? Object.assign({ name: this.getPaymentTermsName(terms) }, terms) : null;
+    },
+
+    getPaymentTermsName: function(terms) {
+        if (terms.type === 'net') return `Net ${terms.netDays} Terms`;
+        if (terms.type === 'monthly') return 'Monthly Corporate Billing';
+        return terms.depositPercent >= 1 ? 'Paid in Full' : `${Math.round(terms.depositPercent * 100)}% Deposit`;
+    },
+
+    /**
+     * Payment schedule for a booking of total made at bookedAt. paid (e.g. a gift certificate) is credited to
+     * the earliest installments. A deposit balance falling due on or before the booking date is taken with the
+     * deposit. Due dates are YYYY-MM-DD, or null when the trip has no service date.
+     * Returns { type, name, total, paid, amountDue, installments: [{ label, percent, amount, dueDate, due }] }
+     * or null for an unknown vehicle.
+     */
+    getPaymentSchedule: function(request, total, platform, bookedAt = new Date(), paid = 0) {
+        const terms = this.getPaymentTerms(request.vehicleType, platform);
+        if (!terms) return null;
+
+        const round = amount => Math.round(amount * 100) / 100;
+        const formatDate = date => date ? this.holidayCalendar.formatDate(date) : null;
+        const addDays = (date, days) => date ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + days) : null;
+        const booked = new Date(bookedAt);
+        const bookedDay = new Date(booked.getFullYear(), booked.getMonth(), booked.getDate());
+        const serviceDay = addDays(this.getPickupTime(request), 0);
+        let installments;
+
+        if (terms.type === 'net') {
+            const dueDate = addDays(serviceDay, terms.netDays);
+            installments = [{ label: 'Invoice', percent: 1, amount: total, dueDate: formatDate(dueDate), due: `${terms.netDays} days after service` }];
+        } else if (terms.type === 'monthly') {
+            const statement = serviceDay && new Date(serviceDay.getFullYear(), serviceDay.getMonth() + 1, terms.statementDay);
+            installments = [{
+                label: 'Monthly statement',
+                percent: 1,
+                amount: total,
+                dueDate: formatDate(addDays(statement, terms.netDays)),
+                due: statement ? `Billed on the ${formatDate(statement)} statement, due ${terms.netDays} days later` : `Billed on the monthly statement, due ${terms.netDays} days later`
+            }];
+        } else {
+            const deposit = round(total * terms.depositPercent);
+            const balanceDue = addDays(serviceDay, -terms.balanceDaysBefore);
+            const atBooking = { dueDate: formatDate(bookedDay), due: 'At booking' };
+            if (deposit >= total || (balanceDue && balanceDue <= bookedDay)) {
+                installments = [Object.assign({ label: 'Payment in full', percent: 1, amount: total }, atBooking)];
+            } else {
+                installments = [
+                    Object.assign({ label: 'Deposit', percent: terms.depositPercent, amount: deposit }, atBooking),
+                    {
+                        label: 'Balance',
+                        percent: round(1 - terms.depositPercent),
+                        amount: round(total - deposit),
+                        dueDate: formatDate(balanceDue),
+                        due: terms.balanceDaysBefore > 0 ? `${terms.balanceDaysBefore} days before service` : 'On the service date'
+                    }
+                ];
+            }
+        }
+
+        // Credit amounts already paid to the earliest installments
+        let credit = Math.min(round(paid), total);
+        installments.forEach(installment => {
+            const applied = Math.min(credit, installment.amount);
+            installment.paid = round(applied);
+            installment.amountDue = round(installment.amount - applied);
+            credit = round(credit - applied);
+        });
+
+        return {
+            type: terms.type,
+            name: terms.name,
+            total: total,
+            paid: round(Math.min(paid, total)),
+            amountDue: round(total - Math.min(paid, total)),
+            installments: installments
+        };
+    },
+
+    /**
+     * Schedule as lines for booking pages, e.g. 'Balance: $416.00 - 14 days before service (2025-06-07)'
+     */
+    getPaymentScheduleLines: function(schedule) {
+        return schedule.installments.map(installment => {
+            const date = installment.dueDate && installment.due !== 'At booking' ? ` (${installment.dueDate})` : '';
+            const paid = installment.paid > 0 ? ` ($${installment.paid.toFixed(2)} paid, $${installment.amountDue.toFixed(2)} due)` : '';
+            return `${installment.label}: $${installment.amount.toFixed(2)}${paid} - ${installment.due}${date}`;
+        });
+    },
+
+    // Pickup as a local Date from serviceDate and serviceTime (midnight when no time), or null
+    getPickupTime: function(request) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(request.serviceDate || '');
+        if (!match) return null;
+        const time = /^(\d{1,2}):(\d{2})/.exec(request.serviceTime || '');
+        return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), time ? parseInt(time[1]) : 0, time ? parseInt(time[2]) : 0);
+    },
+
+    /**
+     * Ranked vehicle configurations for a party: every combination of up to maxVehicles vehicles that seats
+     * request.passengers with room for request.luggage and has no vehicle to spare, each priced as one booking
+     * (so the multi-vehicle discount applies across mixed vehicle types). Cheapest first, then fewest vehicles.
+     * Returns { success, passengers, luggage, options } or { success: false, error }.
+     */
+    recommendVehicles: function(request, platform) {
+        const passengers = parseInt(request.passengers) || 0;
+        const luggage = Math.max(parseInt(request.luggage) || 0, 0);
+        if (passengers < 1) {
+            return { success: false, error: 'Enter the number of passengers to get vehicle recommendations' };
+        }
+
+        const fleet = this.fleet;
+        const limits = this.recommendationLimits;
+        const vehicleTypes = Object.keys(fleet.vehicles)
+            .filter(vehicleType => this.hourlyRates[vehicleType] && fleet.isEligible(vehicleType, request.serviceType));
+        const holds = combination => ({
+            seats: combination.reduce((sum, vehicleType) => sum + fleet.get(vehicleType).seats, 0),
+            luggage: combination.reduce((sum, vehicleType) => sum + fleet.get(vehicleType).luggage, 0)
+        });
+        const fits = combination => {
+            const held = holds(combination);
+            return held.seats >= passengers && held.luggage >= luggage;
+        };
+
+        // Combinations with repetition, in catalog order so each set of vehicles is built once
+        const combinations = [];
+        const extend = (combination, start) => {
+            if (combination.length > 0 && fits(combination)) {
+                const spare = combination.some((vehicleType, index) => fits(combination.filter((other, otherIndex) => otherIndex !== index)));
+                if (!spare) combinations.push(combination);
+                return;
+            }
+            if (combination.length === limits.maxVehicles) return;
+            for (let i = start; i < vehicleTypes.length; i++) {
+                extend(combination.concat(vehicleTypes[i]), i);
+            }
+        };
+        extend([], 0);
+
+        const options = combinations.map(combination => {
+            const groups = [];
+            combination.forEach(vehicleType => {
+                const group = groups.find(candidate => candidate.vehicleType === vehicleType);
+                if (group) group.count++;
+                else groups.push({ vehicleType: vehicleType, count: 1 });
+            });
+
+            // Promo codes are left for the booking, so a flat code isn't counted once per vehicle type
+            const quotes = groups.map(group => this.quote(Object.assign({}, request, {
+                vehicleType: group.vehicleType,
+                vehicleCount: group.count,
+                groupVehicleCount: combination.length,
+                passengers: null,
+                luggage: null,
+                promoCode: null
+            }), platform));
+            if (quotes.some(quote => !quote.success)) return null;
+
+            const held = holds(combination);
+            const sum = field => Math.round(quotes.reduce((total, quote) => total + quote[field], 0) * 100) / 100;
+            return {
+                vehicles: groups.map((group, index) => ({
+                    vehicleType: group.vehicleType,
+                    name: fleet.getName(group.vehicleType),
+                    count: group.count,
+                    total: quotes[index].total
+                })),
+                description: groups.map(group => `${group.count} × ${fleet.getName(group.vehicleType)}`).join(' + '),
+                vehicleCount: combination.length,
+                seats: held.seats,
+                luggageCapacity: held.luggage,
+                total: sum('total'),
+                standardPrice: sum('standardPrice'),
+                savings: sum('savings'),
+                requiresApproval: quotes.some(quote => quote.requiresApproval),
+                quotes: quotes
+            };
+        }).filter(option => option);
+
+        if (options.length === 0) {
+            return { success: false, error: `No combination of up to ${limits.maxVehicles} vehicles fits ${passengers} passengers${luggage ? ` and ${luggage} bags` : ''} for this trip. Please call for a larger fleet booking.` };
+        }
+
+        options.sort((a, b) => a.total - b.total || a.vehicleCount - b.vehicleCount || a.seats - b.seats);
+        return {
+            success: true,
+            passengers: passengers,
+            luggage: luggage,
+            options: options.slice(0, limits.maxOptions).map((option, index) => Object.assign({ rank: index + 1 }, option))
+        };
+    },
+
+    /**
+     * Resolve which eligible discounts apply (order, stacking, exclusions) and enforce the platform cap.
+     * Discounts trimmed by the cap are reduced from the last applied backwards.
+     */
+    applyDiscountPolicy: function(eligible, price, platform, serviceType) {
+        const policy = this.discountPolicy;
+        const candidates = eligible
+            .map(entry => (typeof entry === 'string' ? {id: entry} : entry))
+            .filter(entry => policy.discounts[entry.id])
+            .map(entry => Object.assign({}, policy.discounts[entry.id], entry))
+            .filter(discount => (this.getDiscountRate(discount) > 0 || discount.flatAmount > 0) &&
+                (!discount.platforms || discount.platforms.includes(platform)) &&
+                (!discount.serviceTypes || discount.serviceTypes.includes(serviceType)))
+            .sort((a, b) => a.order - b.order);
+
+        const accepted = [];
+        for (const discount of candidates) {
+            if (accepted.some(other => other.stacks === false)) break;
+            if (discount.stacks === false && accepted.length > 0) continue;
+            const excluded = accepted.some(other =>
+                (other.excludes || []).includes(discount.id) || (discount.excludes || []).includes(other.id));
+            if (!excluded) accepted.push(discount);
+        }
+
+        let runningPrice = price;
+        const applied = accepted.map(discount => {
+            const rate = this.getDiscountRate(discount);
+            const amount = discount.flatAmount ? Math.min(discount.flatAmount, runningPrice) : runningPrice * rate;
+            const label = discount.flatAmount ? `$${discount.flatAmount.toFixed(2)} off` : `${Math.round(rate * 100)}%`;
+            runningPrice -= amount;
+            return {id: discount.id, type: discount.type, item: `${discount.label} (${label})`, amount: amount};
+        });
+
+        const capRate = policy.maxCombinedDiscount ? policy.maxCombinedDiscount[platform] : undefined;
+        const cap = capRate === undefined ? null : {rate: capRate, applied: false};
+        if (cap) {
+            let excess = applied.reduce((total, discount) => total + discount.amount, 0) - price * capRate;
+            for (let i = applied.length - 1; i >= 0 && excess > 0.005; i--) {
+                const reduction = Math.min(applied[i].amount, excess);
+                applied[i].amount -= reduction;
+                applied[i].item += ` - capped at ${Math.round(capRate * 100)}% total`;
+                excess -= reduction;
+                cap.applied = true;
+            }
+        }
+
+        return {applied: applied.filter(discount => discount.amount > 0), cap: cap};
+    },
+
+    /**
+     * Discount rate: a number given directly (promo codes) or the name of a discountRules entry
+     */
+    getDiscountRate: function(discount) {
+        return typeof discount.rate === 'number' ? discount.rate : (this.discountRules[discount.rate] || 0);
+    },
+
+    /**
+     * Hourly operating cost of a vehicle: driver pay, fuel and mileage (everything but the base rate)
+     */
+    getHourlyCost: function(vehicleType) {
+        const vehicleData = this.hourlyRates[vehicleType];
+        return vehicleData.driverGratuity + vehicleData.fuelSurcharge + vehicleData.mileageCharge;
+    },
+
+    /**
+     * Keep discounts from pushing a trip below its cost floor: trim them back (clamp) or flag for approval.
+     * If the price is below the floor before any discount, the quote always needs approval.
+     */
+    applyMarginGuard: function(applied, price, costFloor) {
+        const guard = this.marginGuard;
+        const floor = costFloor * (1 + (guard.minimumMargin || 0));
+        const totalDiscount = applied.reduce((total, discount) => total + discount.amount, 0);
+        let shortfall = floor - (price - totalDiscount);
+        const result = {costFloor: floor, action: guard.action, breached: shortfall > 0.005, requiresApproval: false};
+
+        if (!result.breached) return result;
+
+        if (guard.action === 'approval') {
+            result.requiresApproval = true;
+            return result;
+        }
+
+        for (let i = applied.length - 1; i >= 0 && shortfall > 0.005; i--) {
+            const reduction = Math.min(applied[i].amount, shortfall);
+            applied[i].amount -= reduction;
+            applied[i].item += ' - limited by minimum fare';
+            shortfall -= reduction;
+        }
+        result.requiresApproval = shortfall > 0.005;
+
+        return result;
+    },
+
+    /**
+     * Pricing windows covering the request's service date, vehicle, service type and platform
+     */
+    getPricingWindows: function(request, platform) {
+        if (!request.serviceDate) return [];
+
+        const day = String(request.serviceDate).slice(0, 10);
+        return this.pricingWindows.filter(pricingWindow =>
+            day >= pricingWindow.start && day <= pricingWindow.end &&
+            (!pricingWindow.vehicles || pricingWindow.vehicles.includes(request.vehicleType)) &&
+            (!pricingWindow.serviceTypes || pricingWindow.serviceTypes.includes(request.serviceType)) &&
+            (!pricingWindow.platforms || pricingWindow.platforms.includes(platform))
+        );
+    },
+
+    /**
+     * Booking notice from the request, derived from the service date when not given
+     */
+    getBookingNotice: function(request) {
+        if (request.bookingNotice) return request.bookingNotice;
+        if (!request.serviceDate) return 'advance';
+
+        const today = request.quoteDate ? new Date(request.quoteDate) : new Date();
+        const diffDays = this.calculateDaysFromNow(request.serviceDate, today);
+        if (diffDays <= 1) return 'short';
+        return diffDays < 5 ? 'standard' : 'advance';
+    },
+
+    /**
+     * Day type from the service date when given; the requested day type is only used without a date
+     */
+    getDayType: function(request) {
+        if (request.serviceDate) {
+            const derived = this.holidayCalendar.getDayType(request.serviceDate);
+            if (derived) return derived;
+        }
+        return request.dayType || 'weekend';
+    },
+
+    getDayTypeDisplay: function(dayType) {
+        switch(dayType) {
+            case 'weekday': return 'Monday-Thursday';
+            case 'weekend': return 'Friday-Sunday';
+            case 'holiday': return 'Holiday';
+            default: return dayType;
+        }
+    },
+
+    getLegTimeDisplay: function(leg) {
+        const parts = [`${leg.driveMinutes} min drive`];
+        if (leg.waitMinutes > 0) parts.unshift(`${leg.waitMinutes} min wait`);
+        if (leg.idleMinutes > 0) parts.push(`${leg.idleMinutes} min until the planned arrival`);
+        return parts.join(', ');
+    },
+
+    getFlightDisplay: function(flightPlan) {
+        if (flightPlan.cancelled) {
+            return `${flightPlan.flight} cancelled - dispatch will contact you to rebook the pickup`;
+        }
+        if (flightPlan.delayMinutes > 0) {
+            return `${flightPlan.flight} delayed ${flightPlan.delayMinutes} min - pickup moved from ${flightPlan.scheduledPickup} to ${flightPlan.pickupTime} (free wait until ${flightPlan.freeWaitUntil})`;
+        }
+        return `${flightPlan.flight} on time - pickup at ${flightPlan.pickupTime} (free wait until ${flightPlan.freeWaitUntil})`;
+    },
+
+    getCapacityError: function(vehicle, capacity) {
+        const party = capacity.luggage > 0 ? `${capacity.passengers} passengers and ${capacity.luggage} bags` : `${capacity.passengers} passengers`;
+        const held = `${capacity.seats} passengers and ${capacity.luggageCapacity} bags`;
+        const upgrade = capacity.upgrade ? ` Please choose the ${this.fleet.getName(capacity.upgrade)} (up to ${this.fleet.get(capacity.upgrade).seats} passengers) or add vehicles.` : ' Please add vehicles or call for a larger fleet booking.';
+        return `The ${vehicle.name} holds ${held}, not ${party}.${upgrade}`;
+    },
+
+    getZoneMatchDisplay: function(matchedBy) {
+        switch(matchedBy) {
+            case 'zip': return 'ZIP code';
+            case 'coordinates': return 'location';
+            case 'locality': return 'city';
+            default: return matchedBy;
+        }
+    },
+
+    getDistanceDisplay: function(distance) {
+        switch(distance) {
+            case 'local': return 'Local (Under 30 miles)';
+            case 'regional': return 'Regional (30-60 miles)';
+            case 'long': return 'Long Distance (60+ miles)';
+            default: return distance;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngine;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PricingEngine = PricingEngine;
+}
@@ -0,0 +1,131 @@
+/**
+ * TNT Promo Codes
+ * Retail promotion codes (percent or flat value) with validity dates, usage limits,
+ * vehicle/service restrictions and per-customer limits
+ */
+
+const PromoCodes = {
+    // localStorage persistence and date keys (browser global, or required under Node.js)
+    localStore: typeof LocalStore !== 'undefined' ? LocalStore : require('./local-store.js'),
+
+    // Code definitions keyed by upper-case code (supplied by the rate card)
+    // { code, description, type: 'percent' | 'flat', value, validFrom, validTo,
+    //   maxUses, perCustomerLimit, vehicles, serviceTypes, platforms }
+    codes: {},
+
+    // Redemptions: { CODE: { total, customers: { customerId: count } } }
+    usage: {},
+
+    storageKey: 'tnt_promo_usage',
+
+    /**
+     * Replace the configured codes
+     */
+    setCodes: function(promoCodes) {
+        this.codes = {};
+        promoCodes.forEach(promo => {
+            this.codes[this.normalizeCode(promo.code)] = Object.assign({ platforms: ['retail'] }, promo, { code: this.normalizeCode(promo.code) });
+        });
+    },
+
+    normalizeCode: function(code) {
+        return String(code || '').trim().toUpperCase();
+    },
+
+    normalizeCustomer: function(customerId) {
+        return String(customerId || '').trim().toLowerCase();
+    },
+
+    /**
+     * Check a code against the request; returns { valid, promo } or { valid: false, error }
+     */
+    validate: function(code, request, platform, today = new Date()) {
+        const promo = this.codes[this.normalizeCode(code)];
+        if (!promo) {
+            return { valid: false, error: 'Promo code not recognized' };
+        }
+
+        const day = this.localStore.toDateKey(today);
+        if (promo.validFrom && day < promo.validFrom) {
+            return { valid: false, error: `Promo code is valid from ${promo.validFrom}` };
+        }
+        if (promo.validTo && day > promo.validTo) {
+            return { valid: false, error: 'Promo code has expired' };
+        }
+        if (promo.platforms && !promo.platforms.includes(platform)) {
+            return { valid: false, error: 'Promo code is not available for this booking channel' };
+        }
+        if (promo.vehicles && !promo.vehicles.includes(request.vehicleType)) {
+            return { valid: false, error: 'Promo code does not apply to this vehicle' };
+        }
+        if (promo.serviceTypes && !promo.serviceTypes.includes(request.serviceType)) {
+            return { valid: false, error: 'Promo code does not apply to this service type' };
+        }
+
+        const usage = this.getUsage(promo.code);
+        if (promo.maxUses && usage.total >= promo.maxUses) {
+            return { valid: false, error: 'Promo code usage limit reached' };
+        }
+
+        if (promo.perCustomerLimit) {
+            const customerId = this.normalizeCustomer(request.customerId);
+            if (!customerId) {
+                return { valid: false, error: 'Enter your email address to use this promo code' };
+            }
+            if ((usage.customers[customerId] || 0) >= promo.perCustomerLimit) {
+                return { valid: false, error: 'Promo code already used the maximum number of times for this customer' };
+            }
+        }
+
+        return { valid: true, promo: promo };
+    },
+
+    /**
+     * Record a redemption once a booking using the code is submitted
+     */
+    redeem: function(code, customerId) {
+        const promo = this.codes[this.normalizeCode(code)];
+        if (!promo) {
+            return { success: false, error: 'Promo code not recognized' };
+        }
+
+        const usage = this.getUsage(promo.code);
+        const customer = this.normalizeCustomer(customerId);
+        usage.total += 1;
+        if (customer) {
+            usage.customers[customer] = (usage.customers[customer] || 0) + 1;
+        }
+        this.usage[promo.code] = usage;
+        this.saveUsage();
+
+        return {
+            success: true,
+            remainingUses: promo.maxUses ? Math.max(promo.maxUses - usage.total, 0) : null
+        };
+    },
+
+    getUsage: function(code) {
+        const usage = this.usage[this.normalizeCode(code)];
+        return usage ? { total: usage.total, customers: Object.assign({}, usage.customers) } : { total: 0, customers: {} };
+    },
+
+    loadUsage: function() {
+        this.usage = this.localStore.load(this.storageKey, {}, 'promo usage');
+    },
+
+    saveUsage: function() {
+        this.localStore.save(this.storageKey, this.usage, 'promo usage');
+    }
+};
+
+PromoCodes.loadUsage();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromoCodes;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PromoCodes = PromoCodes;
+}
@@ -0,0 +1,249 @@
+/**
+ * TNT Quote Store
+ * Saved quotes: every quote kept as an unchangeable record with an ID, the request, the rate card
+ * version and full breakdown, and an expiry until which its price is honored when the trip is booked
+ */
+
+const QuoteStore = {
+    // Pricing engine quotes are calculated with (browser global, or required under Node.js)
+    engine: typeof PricingEngine !== 'undefined' ? PricingEngine : require('./pricing-engine.js'),
+
+    // localStorage persistence (browser global, or required under Node.js)
+    localStore: typeof LocalStore !== 'undefined' ? LocalStore : require('./local-store.js'),
+
+    // Quotes keyed by ID: { id, createdAt, expiresAt, platform, request, rateCardVersion, quote }
+    quotes: {},
+
+    // Prices are honored for three days, or until pickup if that comes first
+    validityHours: 72,
+
+    // Expired quotes stay viewable from their share links this long, then are dropped from storage
+    retentionDays: 30,
+
+    storageKey: 'tnt_quotes',
+
+    // Page that re-renders a shared quote from ?quote=<id>
+    sharePage: 'comprehensive-pricing-engine.html',
+
+    /**
+     * Price a request and save it; returns the engine result with quoteId and expiresAt added,
+     * or the engine's { success: false, error } unsaved
+     */
+    create: function(request, platform, now = new Date()) {
+        const quote = this.engine.quote(request, platform);
+        if (!quote.success) {
+            return quote;
+        }
+
+        const record = this.save(request, platform, quote, now);
+        return Object.assign({}, quote, { quoteId: record.id, expiresAt: record.expiresAt });
+    },
+
+    /**
+     * Record a successful quote; the stored request and breakdown are copies frozen against later edits
+     */
+    save: function(request, platform, quote, now = new Date()) {
+        const created = new Date(now);
+        const record = this.freeze({
+            id: this.generateId(),
+            createdAt: created.toISOString(),
+            expiresAt: this.getExpiry(request, created).toISOString(),
+            platform: platform || 'retail',
+            request: JSON.parse(JSON.stringify(request)),
+            rateCardVersion: quote.rateCardVersion,
+            quote: JSON.parse(JSON.stringify(quote))
+        });
+
+        this.quotes[record.id] = record;
+        this.prune(created);
+        this.saveQuotes();
+
+        return record;
+    },
+
+    /**
+     * When a quote made now stops being honored: validityHours later, or at pickup if sooner
+     */
+    getExpiry: function(request, now = new Date()) {
+        const expiry = new Date(new Date(now).getTime() + this.validityHours * 60 * 60 * 1000);
+        const pickup = this.engine.getPickupTime(request);
+        return pickup && pickup > now && pickup < expiry ? pickup : expiry;
+    },
+
+    getQuote: function(id) {
+        return this.quotes[this.normalizeId(id)] || null;
+    },
+
+    /**
+     * Whether a saved quote's price is still honored; returns { valid, quote } or
+     * { valid: false, error } (with the quote when it exists but has expired)
+     */
+    validate: function(id, now = new Date()) {
+        const quote = this.getQuote(id);
+        if (!quote) {
+            return { valid: false, error: 'Quote not found' };
+        }
+        if (this.isExpired(quote, now)) {
+            return { valid: false, error: `Quote ${quote.id} expired on ${this.formatExpiry(quote)}`, quote: quote };
+        }
+        return { valid: true, quote: quote };
+    },
+
+    /**
+     * Price for booking a saved quote. The trip is re-quoted first to confirm it can still be booked
+     * (vehicle offered, route served, party fits). The quoted total holds while the quote is valid and the
+     * trip is unchanged; otherwise the new price applies and diff lists what changed.
+     * Returns { success, quote, locked, reason ('expired' | 'changed' | null), total, requote, diff }
+     * or { success: false, error }.
+     */
+    convertToBooking: function(id, request, platform, now = new Date()) {
+        const saved = this.getQuote(id);
+        if (!saved) {
+            return { success: false, error: 'Quote not found' };
+        }
+
+        const requote = this.engine.quote(Object.assign({}, request, { quoteDate: new Date(now).toISOString() }), platform || saved.platform);
+        if (!requote.success) {
+            return { success: false, error: `This trip can no longer be booked: ${requote.error}` };
+        }
+
+        const changes = this.getRequestChanges(saved.request, request);
+        if (platform && this.engine.normalizePlatform(platform) !== this.engine.normalizePlatform(saved.platform)) {
+            changes.push({ field: 'platform', from: saved.platform, to: platform });
+        }
+        const reason = this.isExpired(saved, now) ? 'expired' : (changes.length > 0 ? 'changed' : null);
+        const locked = reason === null;
+
+        return {
+            success: true,
+            quote: saved,
+            locked: locked,
+            reason: reason,
+            total: locked ? saved.quote.total : requote.total,
+            requote: requote,
+            diff: locked ? null : {
+                changes: changes,
+                lines: this.getLineChanges(saved.quote, requote),
+                previousTotal: saved.quote.total,
+                total: requote.total,
+                difference: Math.round((requote.total - saved.quote.total) * 100) / 100
+            }
+        };
+    },
+
+    /**
+     * Why a conversion isn't held at the quoted price, for pages that ask for a new quote instead of booking the requote
+     */
+    getUnlockedReason: function(conversion) {
+        if (conversion.reason === 'expired') {
+            return `Quote ${conversion.quote.id} expired on ${this.formatExpiry(conversion.quote)}`;
+        }
+        return `The trip changed since quote ${conversion.quote.id} (${conversion.diff.changes.map(change => change.field).join(', ')})`;
+    },
+
+    // Request fields that don't change the trip: when it was priced, who asked, and live flight tracking
+    lockIgnoredFields: ['quoteDate', 'customerId', 'flightStatus'],
+
+    /**
+     * Trip parameters that differ between two requests: [{ field, from, to }]
+     */
+    getRequestChanges: function(savedRequest, request) {
+        const normalize = value => (value === undefined || value === null || value === false ? '' :
+            typeof value === 'object' ? JSON.stringify(value) : String(value).trim());
+        const fields = Object.keys(Object.assign({}, savedRequest, request))
+            .filter(field => !this.lockIgnoredFields.includes(field));
+
+        return fields
+            .filter(field => normalize(savedRequest[field]) !== normalize(request[field]))
+            .map(field => ({ field: field, from: savedRequest[field] ?? null, to: request[field] ?? null }));
+    },
+
+    /**
+     * Rate and adjustment lines that were added, removed or repriced: [{ item, from, to }].
+     * Lines are matched on their label without the detail in brackets, e.g. 'Base Vehicle Rate (4 hrs × $60)'.
+     */
+    getLineChanges: function(savedQuote, requote) {
+        const label = line => line.item.replace(/\s*\(.*\)$/, '');
+        const amounts = quote => quote.rateBreakdown.concat(quote.adjustments)
+            .reduce((lines, line) => Object.assign(lines, { [label(line)]: (lines[label(line)] || 0) + line.amount }), {});
+        const before = amounts(savedQuote);
+        const after = amounts(requote);
+
+        return Object.keys(Object.assign({}, before, after))
+            .filter(item => Math.abs((before[item] ?? 0) - (after[item] ?? 0)) >= 0.005 || (item in before) !== (item in after))
+            .map(item => ({ item: item, from: before[item] ?? null, to: after[item] ?? null }));
+    },
+
+    /**
+     * Drop quotes that expired more than retentionDays ago; returns how many were removed
+     */
+    prune: function(now = new Date()) {
+        const cutoff = new Date(now).getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const stale = Object.keys(this.quotes).filter(id => new Date(this.quotes[id].expiresAt).getTime() < cutoff);
+        stale.forEach(id => delete this.quotes[id]);
+        return stale.length;
+    },
+
+    isExpired: function(quote, now = new Date()) {
+        return new Date(now) >= new Date(quote.expiresAt);
+    },
+
+    formatExpiry: function(quote) {
+        return new Date(quote.expiresAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    },
+
+    /**
+     * Link that re-renders a saved quote; baseUrl defaults to sharePage next to the current page
+     */
+    getShareUrl: function(id, baseUrl) {
+        const page = baseUrl || (typeof window !== 'undefined' && window.location
+            ? new URL(this.sharePage, window.location.href).href
+            : this.sharePage);
+        return `${page}?quote=${encodeURIComponent(this.normalizeId(id))}`;
+    },
+
+    normalizeId: function(id) {
+        return String(id || '').trim().toUpperCase();
+    },
+
+    generateId: function() {
+        let id;
+        do {
+            id = `TNT-Q-${Math.random().toString(36).slice(2, 10).toUpperCase()}`;
+        } while (this.quotes[id]);
+        return id;
+    },
+
+    freeze: function(value) {
+        if (value && typeof value === 'object') {
+            Object.values(value).forEach(child => this.freeze(child));
+            Object.freeze(value);
+        }
+        return value;
+    },
+
+    loadQuotes: function() {
+        const saved = this.localStore.load(this.storageKey, {}, 'saved quotes');
+        Object.values(saved).forEach(quote => this.freeze(quote));
+        this.quotes = saved;
+        if (this.prune()) {
+            this.saveQuotes();
+        }
+    },
+
+    saveQuotes: function() {
+        this.localStore.save(this.storageKey, this.quotes, 'quotes');
+    }
+};
+
+QuoteStore.loadQuotes();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteStore;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.QuoteStore = QuoteStore;
+}
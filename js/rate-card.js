@@ -0,0 +1,838 @@
+/**
+ * TNT Rate Card Loader
+ * Validates a versioned JSON rate card (see docs/RATE-CARD-SCHEMA.md) and feeds it
+ * into PricingEngine and AirportZonePricing
+ */
+
+const RateCard = {
+    // Pricing engine the card is applied to (browser global, or required under Node.js)
+    engine: typeof PricingEngine !== 'undefined' ? PricingEngine : require('./pricing-engine.js'),
+
+    // Scheduled changes and date keys for effective dates (browser global, or required under Node.js)
+    localStore: typeof LocalStore !== 'undefined' ? LocalStore : require('./local-store.js'),
+
+    supportedSchemaVersions: [1],
+
+    // Index listing the card files that make up the rate schedule
+    defaultUrl: 'data/rate-schedule.json',
+
+    // Validated cards sorted by effectiveFrom; a card without effectiveTo runs until the next card starts
+    schedule: [],
+
+    // Cards scheduled from the admin page, kept in localStorage and merged into every schedule loaded
+    scheduledCards: [],
+
+    storageKey: 'tnt_scheduled_rate_cards',
+
+    // Promise for the page-load fetch, resolved with the load result (null under Node.js, which calls loadFile)
+    loading: Promise.resolve(null),
+
+    // Components that must add up to totalStandard
+    hourlyComponents: ['baseRate', 'driverGratuity', 'fuelSurcharge', 'mileageCharge'],
+    pointToPointComponents: ['baseRate', 'flatGratuity', 'fuelSurcharge', 'mileageCharge'],
+
+    /**
+     * Validate a rate card, returning every problem found rather than the first
+     */
+    validate: function(card) {
+        const errors = [];
+
+        if (!card || typeof card !== 'object') {
+            return { valid: false, errors: ['Rate card must be a JSON object'] };
+        }
+
+        if (!this.supportedSchemaVersions.includes(card.schemaVersion)) {
+            errors.push(`Unsupported schemaVersion: ${card.schemaVersion}`);
+        }
+        if (!card.version || typeof card.version !== 'string') {
+            errors.push('version is required');
+        }
+        if (!this.isValidDate(card.effectiveFrom)) {
+            errors.push('effectiveFrom must be a YYYY-MM-DD date');
+        }
+        if (card.effectiveTo !== null && card.effectiveTo !== undefined) {
+            if (!this.isValidDate(card.effectiveTo)) {
+                errors.push('effectiveTo must be a YYYY-MM-DD date or null');
+            } else if (card.effectiveTo < card.effectiveFrom) {
+                errors.push('effectiveTo is before effectiveFrom');
+            }
+        }
+
+        // Vehicles priced by the card; names, seating and units come from the fleet catalog
+        const vehicles = Array.isArray(card.vehicles) ? card.vehicles : [];
+        if (vehicles.length === 0) {
+            errors.push('vehicles must list at least one vehicle');
+        }
+        vehicles.forEach(vehicleType => {
+            if (!this.engine.fleet.get(vehicleType)) {
+                errors.push(`vehicles lists ${vehicleType}, which is not in the fleet catalog`);
+            }
+        });
+
+        this.validateComponentTable(card.hourly, 'hourly', this.hourlyComponents, vehicles, errors);
+        this.validateComponentTable(card.pointToPoint, 'pointToPoint', this.pointToPointComponents, vehicles, errors);
+
+        if (typeof card.additionalTimeRate !== 'number') {
+            errors.push('additionalTimeRate must be a number');
+        }
+        if (typeof card.pointToPointMileageRate !== 'number') {
+            errors.push('pointToPointMileageRate must be a number');
+        }
+
+        this.validateAirportZones(card.airportZones, vehicles, errors);
+
+        if (!card.discountRules || typeof card.discountRules !== 'object') {
+            errors.push('discountRules is required');
+        }
+
+        Object.entries(card.platformOverrides || {}).forEach(([platform, overrides]) => {
+            Object.keys(overrides.airportRates || {}).forEach(vehicleType => {
+                if (!vehicles.includes(vehicleType)) {
+                    errors.push(`platformOverrides.${platform}.airportRates.${vehicleType} is not a listed vehicle`);
+                }
+            });
+        });
+
+        this.validatePricingWindows(card.pricingWindows, vehicles, errors);
+        this.validateLocalHolidays(card.localHolidays, errors);
+        this.validateDiscountPolicy(card.discountPolicy, card.discountRules || {}, errors);
+
+        this.validatePromoCodes(card.promoCodes, vehicles, errors);
+        this.validateDeadheadPolicy(card.deadheadPolicy, vehicles, errors);
+        this.validateCancellationPolicy(card.cancellationPolicy, errors);
+        this.validatePaymentPolicy(card.paymentPolicy, errors);
+
+        if (!card.marginGuard || typeof card.marginGuard !== 'object') {
+            errors.push('marginGuard is required');
+        } else {
+            if (!['clamp', 'approval'].includes(card.marginGuard.action)) {
+                errors.push('marginGuard.action must be clamp or approval');
+            }
+            if (typeof card.marginGuard.minimumMargin !== 'number') {
+                errors.push('marginGuard.minimumMargin must be a number');
+            }
+        }
+
+        ['standard', 'premium'].forEach(tier => {
+            const rate = (card.gnetCommission || {})[tier];
+            if (typeof rate !== 'number' || rate > 1) {
+                errors.push(`gnetCommission.${tier} must be a fraction between 0 and 1`);
+            }
+        });
+
+        this.findNegativeAmounts(card, '', errors);
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Every listed vehicle needs a row, and the components must sum to totalStandard
+     */
+    validateComponentTable: function(table, tableName, components, vehicles, errors) {
+        if (!table || typeof table !== 'object') {
+            errors.push(`${tableName} is required`);
+            return;
+        }
+
+        vehicles.forEach(vehicleType => {
+            const row = table[vehicleType];
+            if (!row) {
+                errors.push(`${tableName} is missing vehicle: ${vehicleType}`);
+                return;
+            }
+
+            const missing = components.concat(['totalStandard', 'minimumHours']).filter(field => typeof row[field] !== 'number');
+            if (missing.length > 0) {
+                errors.push(`${tableName}.${vehicleType} is missing ${missing.join(', ')}`);
+                return;
+            }
+
+            const sum = components.reduce((total, field) => total + row[field], 0);
+            if (Math.abs(sum - row.totalStandard) > 0.005) {
+                errors.push(`${tableName}.${vehicleType} components sum to ${sum}, not totalStandard ${row.totalStandard}`);
+            }
+        });
+
+        Object.keys(table).forEach(vehicleType => {
+            if (!vehicles.includes(vehicleType)) {
+                errors.push(`${tableName}.${vehicleType} is not a listed vehicle`);
+            }
+        });
+    },
+
+    /**
+     * Airport matrix: rates[vehicle][zone][destination], destinations are airports or zones
+     */
+    validateAirportZones: function(airportZones, vehicles, errors) {
+        if (!airportZones || !airportZones.zones || !airportZones.airports || !airportZones.rates) {
+            errors.push('airportZones requires zones, airports and rates');
+            return;
+        }
+
+        Object.entries(airportZones.rates).forEach(([vehicleType, zoneRates]) => {
+            if (!vehicles.includes(vehicleType)) {
+                errors.push(`airportZones.rates.${vehicleType} is not a listed vehicle`);
+            }
+
+            Object.entries(zoneRates).forEach(([zone, destinations]) => {
+                if (!airportZones.zones[zone]) {
+                    errors.push(`airportZones.rates.${vehicleType}.${zone} is not a listed zone`);
+                }
+
+                Object.entries(destinations).forEach(([destination, rate]) => {
+                    if (!airportZones.airports[destination] && !airportZones.zones[destination]) {
+                        errors.push(`airportZones.rates.${vehicleType}.${zone}.${destination} is not a listed airport or zone`);
+                    }
+                    if (typeof rate !== 'number' || rate === 0) {
+                        errors.push(`airportZones.rates.${vehicleType}.${zone}.${destination} must be a positive amount`);
+                    }
+                });
+            });
+        });
+
+        if (!airportZones.pickupFees) {
+            errors.push('airportZones.pickupFees is required');
+        } else {
+            const missing = ['meetAndGreet', 'graceMinutes', 'internationalGraceMinutes', 'waitIncrementMinutes']
+                .filter(field => typeof airportZones.pickupFees[field] !== 'number');
+            if (missing.length > 0) {
+                errors.push(`airportZones.pickupFees is missing ${missing.join(', ')}`);
+            } else if (airportZones.pickupFees.waitIncrementMinutes <= 0) {
+                errors.push('airportZones.pickupFees.waitIncrementMinutes must be greater than zero');
+            }
+            Object.entries(airportZones.pickupFees.airportGraceMinutes || {}).forEach(([airport, minutes]) => {
+                if (!airportZones.airports[airport]) {
+                    errors.push(`airportZones.pickupFees.airportGraceMinutes.${airport} is not a listed airport`);
+                }
+                if (typeof minutes !== 'number') {
+                    errors.push(`airportZones.pickupFees.airportGraceMinutes.${airport} must be a number of minutes`);
+                }
+            });
+        }
+
+        Object.entries(airportZones.routeCosts || {}).forEach(([airport, costs]) => {
+            const label = `airportZones.routeCosts.${airport}`;
+            if (!airportZones.airports[airport]) {
+                errors.push(`${label} is not a listed airport`);
+            }
+            if (!Array.isArray(costs)) {
+                errors.push(`${label} must be a list of costs`);
+                return;
+            }
+            costs.forEach((cost, index) => {
+                if (!cost.item || !['toll', 'parking'].includes(cost.type) || typeof cost.amount !== 'number') {
+                    errors.push(`${label}[${index}] needs an item, a type of toll or parking and an amount`);
+                }
+                (cost.zones || []).forEach(zone => {
+                    if (!airportZones.zones[zone]) {
+                        errors.push(`${label}[${index}] lists unknown zone: ${zone}`);
+                    }
+                });
+            });
+        });
+
+        Object.entries(airportZones.zoneAreas || {}).forEach(([zone, area]) => {
+            const label = `airportZones.zoneAreas.${zone}`;
+            if (!airportZones.zones[zone]) {
+                errors.push(`${label} is not a listed zone`);
+            }
+            (area.zips || []).forEach(zip => {
+                if (!/^\d{1,5}$/.test(zip)) {
+                    errors.push(`${label} ZIP ${zip} must be a ZIP code or prefix`);
+                }
+            });
+            if (area.polygon !== undefined) {
+                const validPoints = Array.isArray(area.polygon) && area.polygon.every(point =>
+                    Array.isArray(point) && Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180);
+                if (!validPoints || area.polygon.length < 3) {
+                    errors.push(`${label} polygon needs at least 3 [lat, lng] points`);
+                }
+            }
+        });
+    },
+
+    /**
+     * Optional peak-season and special-event windows
+     */
+    validatePricingWindows: function(pricingWindows, vehicles, errors) {
+        if (pricingWindows === undefined) return;
+        if (!Array.isArray(pricingWindows)) {
+            errors.push('pricingWindows must be an array');
+            return;
+        }
+
+        pricingWindows.forEach((pricingWindow, index) => {
+            const label = `pricingWindows[${index}]${pricingWindow.name ? ` (${pricingWindow.name})` : ''}`;
+            if (!pricingWindow.name) {
+                errors.push(`${label} name is required`);
+            }
+            if (!this.isValidDate(pricingWindow.start) || !this.isValidDate(pricingWindow.end)) {
+                errors.push(`${label} start and end must be YYYY-MM-DD dates`);
+            } else if (pricingWindow.end < pricingWindow.start) {
+                errors.push(`${label} ends before it starts`);
+            }
+            if (!pricingWindow.adjustment || !['percent', 'flat'].includes(pricingWindow.adjustment.type) || typeof pricingWindow.adjustment.amount !== 'number') {
+                errors.push(`${label} adjustment needs a type of percent or flat and a numeric amount`);
+            }
+            if (pricingWindow.minimumHours !== undefined && typeof pricingWindow.minimumHours !== 'number') {
+                errors.push(`${label} minimumHours must be a number`);
+            }
+            (pricingWindow.vehicles || []).forEach(vehicleType => {
+                if (!vehicles.includes(vehicleType)) {
+                    errors.push(`${label} lists unknown vehicle: ${vehicleType}`);
+                }
+            });
+        });
+    },
+
+    /**
+     * Optional local peak dates priced as holidays (prom, graduation weekends); end defaults to start
+     */
+    validateLocalHolidays: function(localHolidays, errors) {
+        if (localHolidays === undefined) return;
+        if (!Array.isArray(localHolidays)) {
+            errors.push('localHolidays must be an array');
+            return;
+        }
+
+        localHolidays.forEach((holiday, index) => {
+            const label = `localHolidays[${index}]${holiday.name ? ` (${holiday.name})` : ''}`;
+            if (!holiday.name) {
+                errors.push(`${label} name is required`);
+            }
+            if (!this.isValidDate(holiday.start) || (holiday.end !== undefined && !this.isValidDate(holiday.end))) {
+                errors.push(`${label} start and end must be YYYY-MM-DD dates`);
+            } else if (holiday.end !== undefined && holiday.end < holiday.start) {
+                errors.push(`${label} ends before it starts`);
+            }
+        });
+    },
+
+    /**
+     * Discount policy: known discounts, rates that exist, exclusions that resolve, caps between 0 and 1
+     */
+    validateDiscountPolicy: function(discountPolicy, discountRules, errors) {
+        if (!discountPolicy || typeof discountPolicy !== 'object') {
+            errors.push('discountPolicy is required');
+            return;
+        }
+
+        const discounts = discountPolicy.discounts || {};
+        Object.entries(discounts).forEach(([id, discount]) => {
+            if (!this.engine.discountIds.includes(id)) {
+                errors.push(`discountPolicy.discounts.${id} is not a discount the engine knows how to apply`);
+            }
+            if (discount.rate !== undefined && typeof discountRules[discount.rate] !== 'number') {
+                errors.push(`discountPolicy.discounts.${id}.rate must name a discountRules entry`);
+            }
+            if (typeof discount.order !== 'number') {
+                errors.push(`discountPolicy.discounts.${id}.order must be a number`);
+            }
+            (discount.excludes || []).forEach(excluded => {
+                if (!discounts[excluded]) {
+                    errors.push(`discountPolicy.discounts.${id} excludes unknown discount: ${excluded}`);
+                }
+            });
+        });
+
+        Object.entries(discountPolicy.maxCombinedDiscount || {}).forEach(([platform, cap]) => {
+            if (typeof cap !== 'number' || cap > 1) {
+                errors.push(`discountPolicy.maxCombinedDiscount.${platform} must be a fraction between 0 and 1`);
+            }
+        });
+    },
+
+    /**
+     * Optional retail promo codes
+     */
+    validatePromoCodes: function(promoCodes, vehicles, errors) {
+        if (promoCodes === undefined) return;
+        if (!Array.isArray(promoCodes)) {
+            errors.push('promoCodes must be an array');
+            return;
+        }
+
+        const seen = [];
+        promoCodes.forEach((promo, index) => {
+            const label = `promoCodes[${index}]${promo.code ? ` (${promo.code})` : ''}`;
+            const code = String(promo.code || '').trim().toUpperCase();
+            if (!code) {
+                errors.push(`${label} code is required`);
+            } else if (seen.includes(code)) {
+                errors.push(`${label} is a duplicate code`);
+            }
+            seen.push(code);
+
+            if (!['percent', 'flat'].includes(promo.type) || typeof promo.value !== 'number' || promo.value === 0) {
+                errors.push(`${label} needs a type of percent or flat and a positive value`);
+            } else if (promo.type === 'percent' && promo.value > 1) {
+                errors.push(`${label} percent value must be a fraction between 0 and 1`);
+            }
+            ['validFrom', 'validTo'].forEach(field => {
+                if (promo[field] !== undefined && !this.isValidDate(promo[field])) {
+                    errors.push(`${label} ${field} must be a YYYY-MM-DD date`);
+                }
+            });
+            (promo.vehicles || []).forEach(vehicleType => {
+                if (!vehicles.includes(vehicleType)) {
+                    errors.push(`${label} lists unknown vehicle: ${vehicleType}`);
+                }
+            });
+        });
+    },
+
+    /**
+     * Deadhead policy; the base and staged vehicle locations must be places the router knows
+     */
+    validateDeadheadPolicy: function(policy, vehicles, errors) {
+        if (!policy || typeof policy !== 'object') {
+            errors.push('deadheadPolicy is required');
+            return;
+        }
+
+        const routing = this.engine.routing;
+        const locations = [{ label: 'deadheadPolicy.base', entry: policy.base }].concat((policy.stagedVehicles || [])
+            .map((staged, index) => ({ label: `deadheadPolicy.stagedVehicles[${index}]`, entry: staged })));
+        locations.forEach(({ label, entry }) => {
+            if (!entry || !entry.name || !entry.location) {
+                errors.push(`${label} needs a name and a location`);
+            } else if (!routing.resolvePoint(entry.location)) {
+                errors.push(`${label} location ${entry.location} is not a known place or coordinates`);
+            }
+            ((entry && entry.vehicles) || []).forEach(vehicleType => {
+                if (!vehicles.includes(vehicleType)) {
+                    errors.push(`${label} lists unknown vehicle: ${vehicleType}`);
+                }
+            });
+            ((entry && entry.platforms) || []).forEach(platform => {
+                if (!this.engine.platformNames[platform]) {
+                    errors.push(`${label} lists unknown platform: ${platform}`);
+                }
+            });
+        });
+
+        ['freeMiles', 'ratePerMile', 'hourlyShare'].forEach(field => {
+            if (typeof policy[field] !== 'number') {
+                errors.push(`deadheadPolicy.${field} must be a number`);
+            }
+        });
+        if (!Array.isArray(policy.serviceTypes)) {
+            errors.push('deadheadPolicy.serviceTypes must list the service types charged deadhead');
+        } else {
+            policy.serviceTypes.filter(serviceType => !['hourly', 'point-to-point'].includes(serviceType)).forEach(serviceType => {
+                errors.push(`deadheadPolicy.serviceTypes lists ${serviceType}; deadhead applies to hourly and point-to-point trips`);
+            });
+        }
+    },
+
+    /**
+     * Cancellation policy: fleet vehicle classes, known platforms, and windows that reach pickup
+     */
+    validateCancellationPolicy: function(policy, errors) {
+        if (!policy || typeof policy !== 'object') {
+            errors.push('cancellationPolicy is required');
+            return;
+        }
+
+        const classes = Object.values(this.engine.fleet.vehicles).map(vehicle => vehicle.vehicleClass);
+        const validateWindows = (windows, label) => {
+            if (!classes.includes(label.split('.').pop())) {
+                errors.push(`${label} is not a fleet vehicle class`);
+            }
+            if (!Array.isArray(windows) || windows.length === 0) {
+                errors.push(`${label} must list cancellation windows`);
+                return;
+            }
+            windows.forEach((window, index) => {
+                if (typeof window.hoursBefore !== 'number') {
+                    errors.push(`${label}[${index}].hoursBefore must be a number`);
+                }
+                if (typeof window.percent !== 'number' || window.percent > 1) {
+                    errors.push(`${label}[${index}].percent must be a fraction between 0 and 1`);
+                }
+            });
+            if (!windows.some(window => window.hoursBefore === 0)) {
+                errors.push(`${label} needs a window at 0 hoursBefore for late cancellations`);
+            }
+        };
+
+        Object.entries(policy.classes || {}).forEach(([vehicleClass, windows]) => {
+            validateWindows(windows, `cancellationPolicy.classes.${vehicleClass}`);
+        });
+        Object.entries(policy.platforms || {}).forEach(([platform, overrides]) => {
+            if (!this.engine.platformNames[platform]) {
+                errors.push(`cancellationPolicy.platforms.${platform} is not a known platform`);
+            }
+            Object.entries(overrides).forEach(([vehicleClass, windows]) => {
+                validateWindows(windows, `cancellationPolicy.platforms.${platform}.${vehicleClass}`);
+            });
+        });
+        if (typeof policy.noShowPercent !== 'number' || policy.noShowPercent > 1) {
+            errors.push('cancellationPolicy.noShowPercent must be a fraction between 0 and 1');
+        }
+    },
+
+    /**
+     * Payment policy: deposit schedules by fleet vehicle class, net or monthly billing by platform
+     */
+    validatePaymentPolicy: function(policy, errors) {
+        if (!policy || typeof policy !== 'object') {
+            errors.push('paymentPolicy is required');
+            return;
+        }
+
+        const classes = Object.values(this.engine.fleet.vehicles).map(vehicle => vehicle.vehicleClass);
+        const fields = { deposit: ['depositPercent', 'balanceDaysBefore'], net: ['netDays'], monthly: ['statementDay', 'netDays'] };
+        const validateTerms = (terms, label) => {
+            if (!fields[terms.type]) {
+                errors.push(`${label}.type must be deposit, net or monthly`);
+                return;
+            }
+            fields[terms.type].filter(field => typeof terms[field] !== 'number').forEach(field => {
+                errors.push(`${label}.${field} must be a number`);
+            });
+            if (terms.type === 'deposit' && terms.depositPercent > 1) {
+                errors.push(`${label}.depositPercent must be a fraction between 0 and 1`);
+            }
+            if (terms.type === 'monthly' && !(terms.statementDay >= 1 && terms.statementDay <= 28)) {
+                errors.push(`${label}.statementDay must be a day of the month from 1 to 28`);
+            }
+        };
+
+        Object.entries(policy.classes || {}).forEach(([vehicleClass, terms]) => {
+            if (!classes.includes(vehicleClass)) {
+                errors.push(`paymentPolicy.classes.${vehicleClass} is not a fleet vehicle class`);
+            }
+            if (terms.type !== 'deposit') {
+                errors.push(`paymentPolicy.classes.${vehicleClass} must be a deposit schedule; net and monthly billing are set by platform`);
+            } else {
+                validateTerms(terms, `paymentPolicy.classes.${vehicleClass}`);
+            }
+        });
+        Object.entries(policy.platforms || {}).forEach(([platform, terms]) => {
+            if (!this.engine.platformNames[platform]) {
+                errors.push(`paymentPolicy.platforms.${platform} is not a known platform`);
+            }
+            validateTerms(terms, `paymentPolicy.platforms.${platform}`);
+        });
+    },
+
+    findNegativeAmounts: function(value, path, errors) {
+        // Zone polygons hold coordinates, not amounts
+        if (path === 'airportZones.zoneAreas') return;
+
+        if (typeof value === 'number') {
+            if (value < 0) errors.push(`${path} is negative (${value})`);
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => {
+                this.findNegativeAmounts(child, path ? `${path}.${key}` : key, errors);
+            });
+        }
+    },
+
+    isValidDate: function(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    },
+
+    /**
+     * Replace the engine and zone tables with the card's values
+     */
+    apply: function(card) {
+        const engine = this.engine;
+        const zonePricing = engine.zonePricing;
+        const copy = JSON.parse(JSON.stringify(card));
+
+        engine.hourlyRates = copy.hourly;
+        engine.pointToPointRates = copy.pointToPoint;
+        engine.additionalTimeRate = copy.additionalTimeRate;
+        engine.pointToPointMileageRate = copy.pointToPointMileageRate;
+        engine.discountRules = copy.discountRules;
+        engine.platformRates = copy.platformOverrides || {};
+        engine.gnetCommission = copy.gnetCommission;
+        engine.pricingWindows = copy.pricingWindows || [];
+        engine.discountPolicy = copy.discountPolicy;
+        engine.marginGuard = copy.marginGuard;
+        engine.deadheadPolicy = copy.deadheadPolicy;
+        engine.cancellationPolicy = copy.cancellationPolicy;
+        engine.paymentPolicy = copy.paymentPolicy;
+        engine.promoCodes.setCodes(copy.promoCodes || []);
+        engine.holidayCalendar.setLocalHolidays(copy.localHolidays || []);
+        engine.rateCard = {
+            version: copy.version,
+            effectiveFrom: copy.effectiveFrom,
+            effectiveTo: copy.effectiveTo || null
+        };
+
+        zonePricing.zones = copy.airportZones.zones;
+        zonePricing.airports = copy.airportZones.airports;
+        zonePricing.rates = copy.airportZones.rates;
+        zonePricing.zoneAreas = copy.airportZones.zoneAreas || {};
+        zonePricing.pickupFees = copy.airportZones.pickupFees;
+        zonePricing.routeCosts = copy.airportZones.routeCosts || {};
+    },
+
+    /**
+     * Capture the tables currently in use so they can be restored after pricing with another card
+     */
+    snapshot: function() {
+        const engine = this.engine;
+        const zonePricing = engine.zonePricing;
+        return {
+            hourlyRates: engine.hourlyRates,
+            pointToPointRates: engine.pointToPointRates,
+            additionalTimeRate: engine.additionalTimeRate,
+            pointToPointMileageRate: engine.pointToPointMileageRate,
+            discountRules: engine.discountRules,
+            platformRates: engine.platformRates,
+            gnetCommission: engine.gnetCommission,
+            pricingWindows: engine.pricingWindows,
+            discountPolicy: engine.discountPolicy,
+            marginGuard: engine.marginGuard,
+            deadheadPolicy: engine.deadheadPolicy,
+            cancellationPolicy: engine.cancellationPolicy,
+            paymentPolicy: engine.paymentPolicy,
+            promoCodeDefinitions: engine.promoCodes.codes,
+            localHolidays: engine.holidayCalendar.localHolidays,
+            rateCard: engine.rateCard,
+            zones: zonePricing.zones,
+            airports: zonePricing.airports,
+            rates: zonePricing.rates,
+            zoneAreas: zonePricing.zoneAreas,
+            pickupFees: zonePricing.pickupFees,
+            routeCosts: zonePricing.routeCosts
+        };
+    },
+
+    restore: function(snapshot) {
+        const engine = this.engine;
+        const zonePricing = engine.zonePricing;
+        ['hourlyRates', 'pointToPointRates', 'additionalTimeRate', 'pointToPointMileageRate', 'discountRules', 'platformRates', 'gnetCommission', 'pricingWindows', 'discountPolicy', 'marginGuard', 'deadheadPolicy', 'cancellationPolicy', 'paymentPolicy', 'rateCard'].forEach(field => {
+            engine[field] = snapshot[field];
+        });
+        engine.promoCodes.codes = snapshot.promoCodeDefinitions;
+        engine.holidayCalendar.localHolidays = snapshot.localHolidays;
+        ['zones', 'airports', 'rates', 'zoneAreas', 'pickupFees', 'routeCosts'].forEach(field => {
+            zonePricing[field] = snapshot[field];
+        });
+    },
+
+    /**
+     * Validate and apply an already-parsed card as a single-card schedule
+     */
+    loadCard: function(card) {
+        return this.loadSchedule([card]);
+    },
+
+    /**
+     * Validate a set of cards, check their effective periods don't overlap,
+     * then apply the card in effect today; a rejected schedule returns { success: false, errors } for the page to show
+     */
+    loadSchedule: function(cards, today = new Date()) {
+        const errors = [];
+        cards = this.mergeScheduledCards(cards);
+
+        cards.forEach(card => {
+            this.validate(card).errors.forEach(error => errors.push(`${card?.version || 'unversioned'}: ${error}`));
+        });
+
+        const sorted = cards.slice().sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            const card = sorted[i];
+            if (card.effectiveFrom === previous.effectiveFrom) {
+                errors.push(`${previous.version} and ${card.version} both start on ${card.effectiveFrom}`);
+            } else if (previous.effectiveTo && previous.effectiveTo >= card.effectiveFrom) {
+                errors.push(`${previous.version} (to ${previous.effectiveTo}) overlaps ${card.version} (from ${card.effectiveFrom})`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { success: false, errors: errors };
+        }
+
+        this.schedule = sorted;
+        this.engine.rateSchedule = this;
+
+        const current = this.getCardForDate(today);
+        if (current) {
+            this.apply(current);
+        }
+
+        return { success: true, version: current ? current.version : null, scheduled: sorted.map(card => card.version) };
+    },
+
+    /**
+     * The card in effect on a date (Date or YYYY-MM-DD), or null if none covers it
+     */
+    getCardForDate: function(date) {
+        const day = this.localStore.toDateKey(date);
+        let match = null;
+
+        this.schedule.forEach((card, index) => {
+            const next = this.schedule[index + 1];
+            const endsBeforeNext = !card.effectiveTo && next && day >= next.effectiveFrom;
+            if (day >= card.effectiveFrom && (!card.effectiveTo || day <= card.effectiveTo) && !endsBeforeNext) {
+                match = card;
+            }
+        });
+
+        return match;
+    },
+
+    /**
+     * Cards that take effect after the given date
+     */
+    getUpcomingCards: function(date = new Date()) {
+        const day = this.localStore.toDateKey(date);
+        return this.schedule.filter(card => card.effectiveFrom > day);
+    },
+
+    /**
+     * Run a calculation with the card in effect on the service date, then put the current tables back
+     */
+    withRatesFor: function(serviceDate, calculate) {
+        const card = this.getCardForDate(serviceDate);
+        if (!card || card.version === this.engine.rateCard?.version) {
+            return calculate();
+        }
+
+        const snapshot = this.snapshot();
+        try {
+            this.apply(card);
+            return calculate();
+        } finally {
+            this.restore(snapshot);
+        }
+    },
+
+    /**
+     * Schedule a rate change: copy the card in effect on effectiveFrom, let `change` edit it,
+     * and add it to the schedule (replacing any card that already starts that day). The card is saved to
+     * localStorage so it survives a reload and is merged into the schedule the quote pages load
+     */
+    scheduleChange: function(effectiveFrom, change, today = new Date()) {
+        if (!this.isValidDate(effectiveFrom)) {
+            return { success: false, errors: ['effectiveFrom must be a YYYY-MM-DD date'] };
+        }
+
+        const base = this.getCardForDate(effectiveFrom) || this.schedule[this.schedule.length - 1];
+        if (!base) {
+            return { success: false, errors: ['No rate card loaded to base the change on'] };
+        }
+
+        const card = JSON.parse(JSON.stringify(base));
+        card.version = base.effectiveFrom === effectiveFrom ? base.version : effectiveFrom.replace(/-/g, '.');
+        card.effectiveFrom = effectiveFrom;
+        card.effectiveTo = base.effectiveFrom === effectiveFrom ? base.effectiveTo : null;
+        change(card);
+
+        const cards = this.schedule.filter(existing => existing.effectiveFrom !== effectiveFrom);
+        if (base.effectiveFrom !== effectiveFrom && base.effectiveTo && base.effectiveTo >= effectiveFrom) {
+            // Split the base card so the new card takes over from effectiveFrom
+            const index = cards.indexOf(base);
+            cards[index] = Object.assign({}, base, { effectiveTo: this.getDayBefore(effectiveFrom) });
+            card.effectiveTo = base.effectiveTo;
+        }
+
+        const previousScheduled = this.scheduledCards;
+        this.scheduledCards = previousScheduled.filter(existing => existing.effectiveFrom !== effectiveFrom).concat([card]);
+        const result = this.loadSchedule(cards.concat([card]), today);
+        if (!result.success) {
+            this.scheduledCards = previousScheduled;
+            return result;
+        }
+
+        this.saveScheduledCards();
+        return Object.assign(result, { card: card });
+    },
+
+    /**
+     * Put the scheduled cards into a published schedule: each replaces a card starting the same day,
+     * and a bounded card running past its start is ended the day before
+     */
+    mergeScheduledCards: function(cards) {
+        return this.scheduledCards
+            .slice()
+            .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1))
+            .reduce((merged, scheduled) => merged
+                .filter(card => card.effectiveFrom !== scheduled.effectiveFrom)
+                .map(card => card.effectiveFrom < scheduled.effectiveFrom && card.effectiveTo && card.effectiveTo >= scheduled.effectiveFrom
+                    ? Object.assign({}, card, { effectiveTo: this.getDayBefore(scheduled.effectiveFrom) })
+                    : card)
+                .concat([scheduled]), cards);
+    },
+
+    /**
+     * The date key before a YYYY-MM-DD date, counted on the date parts so the time zone can't shift it
+     */
+    getDayBefore: function(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(part => parseInt(part, 10));
+        return this.localStore.toDateKey(new Date(year, month - 1, day - 1));
+    },
+
+    loadScheduledCards: function() {
+        this.scheduledCards = this.localStore.load(this.storageKey, [], 'scheduled rate cards');
+    },
+
+    saveScheduledCards: function() {
+        this.localStore.save(this.storageKey, this.scheduledCards, 'scheduled rate cards');
+    },
+
+    /**
+     * Fetch the schedule index and every card it lists, then validate and apply (browser)
+     */
+    load: async function(url = this.defaultUrl) {
+        try {
+            const index = await this.fetchJson(url);
+            const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+            const cards = await Promise.all((index.cards || []).map(file => this.fetchJson(baseUrl + file)));
+            return this.loadSchedule(cards);
+        } catch (error) {
+            console.warn('Rate schedule not loaded, quotes are unavailable:', error.message);
+            return { success: false, errors: [error.message] };
+        }
+    },
+
+    fetchJson: async function(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Read the schedule index and its cards from disk, then validate and apply (Node.js)
+     */
+    loadFile: function(filePath, today = new Date()) {
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const cards = index.cards
+                ? index.cards.map(file => JSON.parse(fs.readFileSync(path.join(path.dirname(filePath), file), 'utf8')))
+                : [index];
+            return this.loadSchedule(cards, today);
+        } catch (error) {
+            console.error('Error reading rate schedule:', error);
+            return { success: false, errors: [error.message] };
+        }
+    }
+};
+
+RateCard.loadScheduledCards();
+
+// Start loading the published rate card as the page loads; pages await RateCard.loading before quoting
+if (typeof document !== 'undefined') {
+    RateCard.loading = RateCard.load();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateCard;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RateCard = RateCard;
+}
@@ -0,0 +1,236 @@
+/**
+ * TNT Route Distance
+ * Road miles and drive time between pickup and dropoff coordinates, from an offline
+ * road-distance table for known places or a straight-line estimate with a road factor
+ */
+
+const RouteDistance = {
+    // Named places in the service area (zone centers, towns and airports); aliases are other names
+    // that identify the place in an address
+    places: {
+        'central-virginia': { name: 'Richmond', lat: 37.5407, lng: -77.4360 },
+        'prince-george': { name: 'Prince George', lat: 37.2207, lng: -77.2883 },
+        'norfolk': { name: 'Norfolk', lat: 36.8508, lng: -76.2859 },
+        'charlottesville': { name: 'Charlottesville', lat: 38.0293, lng: -78.4767 },
+        'williamsburg': { name: 'Williamsburg', lat: 37.2707, lng: -76.7075 },
+        'fredericksburg': { name: 'Fredericksburg', lat: 38.3032, lng: -77.4605 },
+        'tysons': { name: 'Tysons', lat: 38.9187, lng: -77.2311, aliases: ['Capital One', 'Tysons Corner'] },
+        'mclean': { name: 'McLean', lat: 38.9339, lng: -77.1773 },
+        'reston': { name: 'Reston', lat: 38.9586, lng: -77.3570 },
+        'fairfax': { name: 'Fairfax', lat: 38.8462, lng: -77.3064 },
+        'arlington': { name: 'Arlington', lat: 38.8816, lng: -77.0910 },
+        'alexandria': { name: 'Alexandria', lat: 38.8048, lng: -77.0469 },
+        'newport-news': { name: 'Newport News', lat: 37.0871, lng: -76.4730 },
+        'hampton': { name: 'Hampton', lat: 37.0299, lng: -76.3452 },
+        'virginia-beach': { name: 'Virginia Beach', lat: 36.8529, lng: -75.9780 },
+        'ric': { name: 'Richmond International Airport', lat: 37.5052, lng: -77.3197 },
+        'dca': { name: 'Ronald Reagan National Airport', lat: 38.8512, lng: -77.0402, aliases: ['Reagan National', 'National Airport'] },
+        'iad': { name: 'Washington Dulles International Airport', lat: 38.9531, lng: -77.4565, aliases: ['Dulles Airport', 'Dulles International'] },
+        'bwi': { name: 'Baltimore/Washington International Airport', lat: 39.1774, lng: -76.6684 },
+        'cho': { name: 'Charlottesville Albemarle Airport', lat: 38.1386, lng: -78.4529 },
+        'phf': { name: 'Newport News/Williamsburg International Airport', lat: 37.1319, lng: -76.4930 }
+    },
+
+    // Surveyed road distances between places: 'from|to' → { miles, minutes } (either direction)
+    roadDistances: {
+        'central-virginia|ric': { miles: 10, minutes: 15 },
+        'central-virginia|dca': { miles: 108, minutes: 115 },
+        'central-virginia|iad': { miles: 125, minutes: 130 },
+        'central-virginia|bwi': { miles: 150, minutes: 160 },
+        'central-virginia|cho': { miles: 75, minutes: 75 },
+        'central-virginia|phf': { miles: 65, minutes: 65 },
+        'central-virginia|norfolk': { miles: 93, minutes: 95 },
+        'central-virginia|charlottesville': { miles: 72, minutes: 75 },
+        'central-virginia|williamsburg': { miles: 51, minutes: 55 },
+        'central-virginia|prince-george': { miles: 30, minutes: 35 },
+        'central-virginia|fredericksburg': { miles: 55, minutes: 55 },
+        'central-virginia|tysons': { miles: 115, minutes: 125 },
+        'central-virginia|mclean': { miles: 112, minutes: 120 },
+        'central-virginia|reston': { miles: 122, minutes: 130 },
+        'central-virginia|fairfax': { miles: 110, minutes: 115 },
+        'central-virginia|arlington': { miles: 105, minutes: 115 },
+        'central-virginia|alexandria': { miles: 100, minutes: 110 },
+        'central-virginia|newport-news': { miles: 70, minutes: 70 },
+        'central-virginia|hampton': { miles: 80, minutes: 80 },
+        'central-virginia|virginia-beach': { miles: 108, minutes: 110 },
+        'tysons|mclean': { miles: 3, minutes: 10 },
+        'tysons|reston': { miles: 9, minutes: 15 },
+        'tysons|iad': { miles: 14, minutes: 20 },
+        'tysons|dca': { miles: 13, minutes: 25 },
+        'prince-george|ric': { miles: 30, minutes: 35 },
+        'prince-george|dca': { miles: 132, minutes: 140 },
+        'prince-george|iad': { miles: 150, minutes: 155 },
+        'prince-george|bwi': { miles: 175, minutes: 185 },
+        'norfolk|ric': { miles: 85, minutes: 90 },
+        'norfolk|cho': { miles: 165, minutes: 165 },
+        'norfolk|charlottesville': { miles: 160, minutes: 160 },
+        'charlottesville|cho': { miles: 9, minutes: 15 },
+        'norfolk|phf': { miles: 25, minutes: 30 },
+        'williamsburg|phf': { miles: 17, minutes: 20 }
+    },
+
+    // Straight-line fallback: roads run about 30% longer than the crow flies, at 40 mph door to door
+    roadFactor: 1.3,
+    averageSpeedMph: 40,
+
+    // Coordinates within this distance of a named place use that place's road distances
+    placeRadiusMiles: 2,
+
+    // Last word of a street line, e.g. '1200 Arlington Rd'; place names in a street line are ignored
+    streetSuffixes: ['rd', 'road', 'st', 'street', 'ave', 'avenue', 'blvd', 'boulevard', 'dr', 'drive', 'ln', 'lane', 'way',
+        'pkwy', 'parkway', 'hwy', 'highway', 'ct', 'pl', 'pike', 'tpke', 'turnpike', 'cir', 'circle', 'ter', 'trl'],
+
+    /**
+     * Route between two points (place keys, { lat, lng } or 'lat, lng' strings);
+     * returns { miles, driveHours, source: 'road-table' | 'estimate', from, to } or null
+     */
+    getRoute: function(pickup, dropoff) {
+        const from = this.resolvePoint(pickup);
+        const to = this.resolvePoint(dropoff);
+        if (!from || !to) return null;
+
+        const surveyed = from.place && to.place ? this.getRoadDistance(from.place, to.place) : null;
+        if (surveyed) {
+            return {
+                miles: surveyed.miles,
+                driveHours: Math.round(surveyed.minutes / 60 * 100) / 100,
+                source: 'road-table',
+                from: from,
+                to: to
+            };
+        }
+
+        const miles = Math.round(this.haversineMiles(from, to) * this.roadFactor * 10) / 10;
+        return {
+            miles: miles,
+            driveHours: Math.round(miles / this.averageSpeedMph * 100) / 100,
+            source: 'estimate',
+            from: from,
+            to: to
+        };
+    },
+
+    getRoadDistance: function(fromPlace, toPlace) {
+        return this.roadDistances[`${fromPlace}|${toPlace}`] || this.roadDistances[`${toPlace}|${fromPlace}`] || null;
+    },
+
+    /**
+     * Coordinates for a point (place key, coordinates, or an address naming a known place),
+     * with the named place it matches (if any)
+     */
+    resolvePoint: function(point) {
+        if (!point) return null;
+
+        if (typeof point === 'string') {
+            const placeKey = point.trim().toLowerCase();
+            if (this.places[placeKey]) {
+                const place = this.places[placeKey];
+                return { lat: place.lat, lng: place.lng, place: placeKey, name: place.name };
+            }
+            const coordinates = this.parseCoordinates(point);
+            if (!coordinates) {
+                const named = this.findPlaceInText(point);
+                return named ? { lat: this.places[named].lat, lng: this.places[named].lng, place: named, name: this.places[named].name } : null;
+            }
+            point = coordinates;
+        }
+
+        const lat = parseFloat(point.lat);
+        const lng = parseFloat(point.lng);
+        if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+        const nearest = this.findNearestPlace({ lat: lat, lng: lng });
+        return {
+            lat: lat,
+            lng: lng,
+            place: nearest ? nearest.key : null,
+            name: nearest ? nearest.name : `${lat.toFixed(4)}, ${lng.toFixed(4)}`
+        };
+    },
+
+    /**
+     * Parse 'lat, lng' text
+     */
+    parseCoordinates: function(text) {
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+        return match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : null;
+    },
+
+    /**
+     * Place named in an address outside its street line (name, key or alias as whole words); the longest name wins
+     */
+    findPlaceInText: function(text) {
+        const address = ` ${this.getLocalityParts(text).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+        let best = null;
+        Object.entries(this.places).forEach(([key, place]) => {
+            [key.replace(/-/g, ' '), place.name].concat(place.aliases || []).forEach(name => {
+                const words = name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+                if (address.includes(` ${words} `) && (!best || words.length > best.length)) {
+                    best = { key: key, length: words.length };
+                }
+            });
+        });
+        return best ? best.key : null;
+    },
+
+    /**
+     * City of an address: the last comma-separated part after the street line, ignoring the state and ZIP
+     */
+    getCity: function(text) {
+        const parts = this.getLocalityParts(text);
+        return parts.length ? parts[parts.length - 1] : '';
+    },
+
+    /**
+     * Comma-separated address parts that can name a place: street lines (up to their street suffix, or the
+     * whole part when it starts with a house number) and state / ZIP parts are dropped
+     */
+    getLocalityParts: function(text) {
+        const suffixes = new RegExp(`^.*?\\b(?:${this.streetSuffixes.join('|')})\\b\\.?`, 'i');
+        return String(text || '').split(',')
+            .map(part => part.trim())
+            .map(part => suffixes.test(part) ? part.replace(suffixes, '').trim() : (/^\d/.test(part) ? '' : part))
+            .filter(part => part && !/^(?:[a-z]{2}|virginia|maryland)?\s*(?:\d{5}(?:-\d{4})?)?$/i.test(part));
+    },
+
+    findNearestPlace: function(point) {
+        let nearest = null;
+        Object.entries(this.places).forEach(([key, place]) => {
+            const miles = this.haversineMiles(point, place);
+            if (miles <= this.placeRadiusMiles && (!nearest || miles < nearest.miles)) {
+                nearest = { key: key, name: place.name, miles: miles };
+            }
+        });
+        return nearest;
+    },
+
+    /**
+     * Great-circle distance in miles
+     */
+    haversineMiles: function(from, to) {
+        const radians = degrees => degrees * Math.PI / 180;
+        const dLat = radians(to.lat - from.lat);
+        const dLng = radians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLng / 2) ** 2;
+        return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    /**
+     * Distance band matching the point-to-point 'distance' dropdown
+     */
+    getDistanceBand: function(miles) {
+        if (miles < 30) return 'local';
+        if (miles <= 60) return 'regional';
+        return 'long';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteDistance;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.RouteDistance = RouteDistance;
+}
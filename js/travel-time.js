@@ -0,0 +1,178 @@
+/**
+ * TNT Travel Time
+ * Estimated driving hours for a trip leg, from routed road time, time-of-day traffic profiles
+ * and the deadhead from and back to HQ, with a low-high range and driver-hour limit checks
+ */
+
+const TravelTime = {
+    // Road miles and drive time between places (browser global, or required when running under Node.js)
+    routing: typeof RouteDistance !== 'undefined' ? RouteDistance : require('./route-distance.js'),
+
+    // Vehicles leave from and return to HQ in Richmond
+    hq: 'central-virginia',
+
+    // Traffic multipliers on the routed drive time. A segment uses the first profile listing either of
+    // its places; the profile without places covers everything else. Periods may run past midnight.
+    trafficProfiles: [
+        {
+            name: 'Washington, DC area',
+            places: ['dca', 'iad', 'bwi'],
+            factor: 1.1,
+            periods: [
+                { name: 'DC morning rush', weekdaysOnly: true, start: '06:00', end: '10:00', factor: 1.35 },
+                { name: 'DC evening rush', weekdaysOnly: true, start: '15:00', end: '19:30', factor: 1.45 },
+                { name: 'Night', start: '21:00', end: '05:00', factor: 0.9 }
+            ]
+        },
+        {
+            name: 'Virginia',
+            factor: 1,
+            periods: [
+                { name: 'Richmond morning rush', weekdaysOnly: true, start: '07:00', end: '09:00', factor: 1.15 },
+                { name: 'Richmond evening rush', weekdaysOnly: true, start: '16:00', end: '18:00', factor: 1.2 },
+                { name: 'Night', start: '21:00', end: '05:00', factor: 0.95 }
+            ]
+        }
+    ],
+
+    // Range around an estimate when the departure time is known
+    spread: 0.15,
+
+    // Passenger-carrier hours of service, plus the pre-trip inspection counted as on-duty time
+    driverLimits: {
+        maxDrivingHours: 10,
+        maxOnDutyHours: 15,
+        preTripHours: 0.5
+    },
+
+    /**
+     * Driving hours for one leg: HQ → from (deadhead), from → to (service), to → HQ (deadhead).
+     * options: { serviceDate: 'YYYY-MM-DD', serviceTime: 'HH:MM' pickup time at from }
+     * Returns { from, to, segments, serviceHours, hours, lowHours, highHours, traffic } or null if unroutable.
+     */
+    estimateLeg: function(from, to, options = {}) {
+        const service = this.routing.getRoute(from, to);
+        const outbound = this.routing.getRoute(this.hq, from);
+        const inbound = this.routing.getRoute(to, this.hq);
+        if (!service || !outbound || !inbound) return null;
+
+        const pickupMinutes = this.parseMinutes(options.serviceTime);
+        const known = pickupMinutes !== null;
+        const segments = [
+            this.buildSegment(outbound, 'deadhead', options.serviceDate, known ? pickupMinutes - outbound.driveHours * 60 : null),
+            this.buildSegment(service, 'service', options.serviceDate, pickupMinutes),
+            this.buildSegment(inbound, 'deadhead', options.serviceDate, known ? pickupMinutes + service.driveHours * 60 : null)
+        ].filter(segment => segment.miles > 0);
+
+        const serviceSegment = segments.find(segment => segment.type === 'service');
+        const total = field => this.round(segments.reduce((sum, segment) => sum + segment[field], 0));
+
+        return {
+            from: from,
+            to: to,
+            segments: segments,
+            serviceHours: serviceSegment ? serviceSegment.hours : 0,
+            hours: total('hours'),
+            lowHours: total('lowHours'),
+            highHours: total('highHours'),
+            traffic: serviceSegment ? serviceSegment.traffic : null
+        };
+    },
+
+    buildSegment: function(route, type, serviceDate, departureMinutes) {
+        const traffic = this.getTraffic(route.from.place, route.to.place, serviceDate, departureMinutes);
+        return {
+            from: route.from.name,
+            to: route.to.name,
+            type: type,
+            miles: route.miles,
+            driveHours: route.driveHours,
+            hours: this.round(route.driveHours * traffic.factor),
+            lowHours: this.round(route.driveHours * traffic.lowFactor),
+            highHours: this.round(route.driveHours * traffic.highFactor),
+            traffic: traffic.name
+        };
+    },
+
+    /**
+     * Traffic multiplier for a segment leaving at a time of day (minutes after midnight);
+     * without a time the range spans the profile's quietest to busiest period
+     */
+    getTraffic: function(fromPlace, toPlace, serviceDate, departureMinutes) {
+        const profile = this.trafficProfiles.find(candidate => !candidate.places ||
+            candidate.places.includes(fromPlace) || candidate.places.includes(toPlace));
+        const weekday = this.isWeekday(serviceDate);
+        const periods = profile.periods.filter(period => !period.weekdaysOnly || weekday !== false);
+
+        if (departureMinutes === null) {
+            const factors = [profile.factor].concat(periods.map(period => period.factor));
+            return { name: profile.name, factor: profile.factor, lowFactor: Math.min(...factors), highFactor: Math.max(...factors) };
+        }
+
+        const minutes = ((Math.round(departureMinutes) % 1440) + 1440) % 1440;
+        const period = periods.find(candidate => this.inPeriod(minutes, candidate)) || null;
+        const factor = period ? period.factor : profile.factor;
+        return {
+            name: period ? period.name : profile.name,
+            factor: factor,
+            lowFactor: factor * (1 - this.spread),
+            highFactor: factor * (1 + this.spread)
+        };
+    },
+
+    inPeriod: function(minutes, period) {
+        const start = this.parseMinutes(period.start);
+        const end = this.parseMinutes(period.end);
+        return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    },
+
+    /**
+     * Whether legs fit in one driver's shift, using the high end of each estimate;
+     * extraOnDutyHours covers waiting that is not driving
+     */
+    checkDriverHours: function(legs, extraOnDutyHours = 0) {
+        const limits = this.driverLimits;
+        const drivingHours = this.round(legs.reduce((sum, leg) => sum + leg.highHours, 0));
+        const onDutyHours = this.round(drivingHours + limits.preTripHours + extraOnDutyHours);
+        const exceeded = [];
+        if (drivingHours > limits.maxDrivingHours) exceeded.push(`${limits.maxDrivingHours} hr driving limit`);
+        if (onDutyHours > limits.maxOnDutyHours) exceeded.push(`${limits.maxOnDutyHours} hr on-duty limit`);
+
+        return {
+            drivingHours: drivingHours,
+            onDutyHours: onDutyHours,
+            maxDrivingHours: limits.maxDrivingHours,
+            maxOnDutyHours: limits.maxOnDutyHours,
+            withinLimits: exceeded.length === 0,
+            exceeded: exceeded
+        };
+    },
+
+    // 'HH:MM' → minutes after midnight, or null
+    parseMinutes: function(time) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+        return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    },
+
+    // true / false for a 'YYYY-MM-DD' date, null when no date is given
+    isWeekday: function(serviceDate) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(serviceDate || '');
+        if (!match) return null;
+        const day = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])).getDay();
+        return day !== 0 && day !== 6;
+    },
+
+    round: function(hours) {
+        return Math.round(hours * 100) / 100;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TravelTime;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TravelTime = TravelTime;
+}
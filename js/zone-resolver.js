@@ -0,0 +1,117 @@
+/**
+ * TNT Zone Resolver
+ * Maps a typed pickup address, ZIP code or coordinates to an airport pricing zone
+ * using the zone areas stored with the airport rate data
+ */
+
+const ZoneResolver = {
+    // Airport zone matrix holding the zone areas (browser global, or required when running under Node.js)
+    zonePricing: typeof AirportZonePricing !== 'undefined' ? AirportZonePricing : require('./airport-zone-pricing.js'),
+
+    // Address parsing (city and street lines) shared with routing
+    routing: typeof RouteDistance !== 'undefined' ? RouteDistance : require('./route-distance.js'),
+
+    /**
+     * Zone for a pickup: returns { zone, zoneName, matchedBy: 'zip' | 'coordinates' | 'locality' } or null.
+     * A ZIP code in the text wins over coordinates, which win over a city or county name: the city part
+     * of the address first, then any part outside the street line.
+     */
+    resolve: function(pickup) {
+        if (!pickup) return null;
+
+        if (typeof pickup === 'object') {
+            return this.resolveCoordinates(pickup.lat, pickup.lng);
+        }
+
+        const text = String(pickup).trim();
+        const coordinates = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text);
+        if (coordinates) {
+            return this.resolveCoordinates(coordinates[1], coordinates[2]);
+        }
+
+        const zip = /\b(\d{5})(?:-\d{4})?\b/.exec(text);
+        if (zip) {
+            const byZip = this.resolveZip(zip[1]);
+            if (byZip) return byZip;
+        }
+
+        return this.resolveLocality(this.routing.getCity(text)) || this.resolveLocality(this.routing.getLocalityParts(text).join(', '));
+    },
+
+    /**
+     * Longest matching ZIP code or prefix across all zones
+     */
+    resolveZip: function(zip) {
+        let best = null;
+        Object.entries(this.getZoneAreas()).forEach(([zone, area]) => {
+            (area.zips || []).forEach(prefix => {
+                if (zip.startsWith(prefix) && (!best || prefix.length > best.length)) {
+                    best = { zone: zone, length: prefix.length };
+                }
+            });
+        });
+        return best ? this.result(best.zone, 'zip') : null;
+    },
+
+    resolveCoordinates: function(lat, lng) {
+        const point = [parseFloat(lat), parseFloat(lng)];
+        if (isNaN(point[0]) || isNaN(point[1])) return null;
+
+        const zone = Object.keys(this.getZoneAreas()).find(zoneKey => {
+            const polygon = this.getZoneAreas()[zoneKey].polygon;
+            return polygon && this.pointInPolygon(point, polygon);
+        });
+        return zone ? this.result(zone, 'coordinates') : null;
+    },
+
+    /**
+     * City or county named in the address (whole words, case-insensitive)
+     */
+    resolveLocality: function(text) {
+        const address = ` ${text.toLowerCase().replace(/[^a-z0-9-]+/g, ' ')} `;
+        let best = null;
+        Object.entries(this.getZoneAreas()).forEach(([zone, area]) => {
+            (area.localities || []).forEach(locality => {
+                const name = locality.toLowerCase();
+                if (address.includes(` ${name} `) && (!best || name.length > best.length)) {
+                    best = { zone: zone, length: name.length };
+                }
+            });
+        });
+        return best ? this.result(best.zone, 'locality') : null;
+    },
+
+    /**
+     * Ray-casting test for a [lat, lng] point inside a polygon of [lat, lng] vertices
+     */
+    pointInPolygon: function(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [latI, lngI] = polygon[i];
+            const [latJ, lngJ] = polygon[j];
+            if ((lngI > point[1]) !== (lngJ > point[1]) &&
+                point[0] < (latJ - latI) * (point[1] - lngI) / (lngJ - lngI) + latI) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    getZoneAreas: function() {
+        return this.zonePricing.zoneAreas || {};
+    },
+
+    result: function(zone, matchedBy) {
+        return { zone: zone, zoneName: this.zonePricing.zones[zone] || zone, matchedBy: matchedBy };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZoneResolver;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ZoneResolver = ZoneResolver;
+}
@@ -0,0 +1,1058 @@
+/**
+ * Pricing Engine Test Suite
+ * Exercises PricingEngine.quote() directly with plain request objects (no DOM required)
+ */
+
+const Engine = typeof PricingEngine !== 'undefined' ? PricingEngine : require('./js/pricing-engine.js');
+const RateCardLoader = typeof RateCard !== 'undefined' ? RateCard : require('./js/rate-card.js');
+const Calendar = typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./js/holiday-calendar.js');
+const Promos = typeof PromoCodes !== 'undefined' ? PromoCodes : require('./js/promo-codes.js');
+const GiftLedger = typeof GiftCertificates !== 'undefined' ? GiftCertificates : require('./js/gift-certificates.js');
+const Quotes = typeof QuoteStore !== 'undefined' ? QuoteStore : require('./js/quote-store.js');
+const Bookings = typeof BookingManager !== 'undefined' ? BookingManager : require('./js/booking-manager.js');
+const PortalSync = typeof DriverPortalSync !== 'undefined' ? DriverPortalSync : require('./js/driver-portal-sync.js');
+
+class PricingEngineTester {
+    constructor() {
+        this.testResults = [];
+        this.criticalIssues = [];
+        this.pricingDiscrepancies = [];
+        this.quoteDate = '2025-01-02T12:00:00';
+    }
+
+    /**
+     * Run all pricing engine tests
+     */
+    runAllTests() {
+        console.log('Starting TNT Pricing Engine Test Suite...');
+
+        this.loadPublishedRateCard();
+        this.testHourlyQuotes();
+        this.testPointToPointQuotes();
+        this.testRouteDistance();
+        this.testAirportQuotes();
+        this.testZoneResolver();
+        this.testAirportRoutes();
+        this.testTravelTime();
+        this.testMultiStopItineraries();
+        this.testDeadhead();
+        this.testFleetCatalog();
+        this.testVehicleRecommendations();
+        this.testFlightStatus();
+        this.testPlatformAdjustments();
+        this.testInvalidRequests();
+        this.testHolidayCalendar();
+        this.testPricingWindows();
+        this.testDiscountPolicy();
+        this.testMarginGuard();
+        this.testPromoCodes();
+        this.testGiftCertificates();
+        this.testQuoteStore();
+        this.testQuoteBooking();
+        this.testBookingLifecycle();
+        this.testCancellationFees();
+        this.testPaymentSchedules();
+        this.testRateCardValidation();
+        this.testRateSchedule();
+
+        return this.generateTestReport();
+    }
+
+    /**
+     * Hourly quotes: minimums, weekday/holiday and 6+ hour adjustments
+     */
+    testHourlyQuotes() {
+        const testCases = [
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend' }, expected: 400, description: 'Sedan 4 hours weekend' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 2, dayType: 'weekend' }, expected: 300, description: 'Sedan 3 hour minimum applied' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday' }, expected: 360, description: 'Sedan 4 hours weekday discount' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'holiday' }, expected: 500, description: 'Sedan 4 hours holiday surcharge' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 6, dayType: 'weekend' }, expected: 540, description: 'Sedan 6 hours long trip discount' },
+            { request: { serviceType: 'hourly', vehicleType: 'limo-bus', hours: 4, dayType: 'weekend' }, expected: 832, description: 'Limo Bus 4 hours weekend' }
+        ];
+
+        this.runQuoteCases('Hourly Quotes', testCases, 'retail');
+    }
+
+    /**
+     * Point-to-point quotes: 1 hour minimum plus 30-minute increments at 70%
+     */
+    testPointToPointQuotes() {
+        const testCases = [
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: 1, dayType: 'weekend' }, expected: 155, description: 'Sedan 1 hour minimum' },
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: 2.5, dayType: 'weekend' }, expected: 317.75, description: 'Sedan 2.5 hours additional time' },
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: 2.5, dayType: 'weekday', serviceTime: '23:30' }, expected: 305.98, description: 'Sedan weekday with after-hours fee' }
+        ];
+
+        this.runQuoteCases('Point-to-Point Quotes', testCases, 'retail');
+    }
+
+    /**
+     * Routed point-to-point trips: road table, straight-line fallback, mileage and drive time
+     */
+    testRouteDistance() {
+        const routing = Engine.routing;
+        this.recordResult('Route Distance', 'Road table works in either direction', 10, routing.getRoute('ric', 'central-virginia').miles);
+        this.recordResult('Route Distance', 'Coordinates near a known place use the road table', 'road-table', routing.getRoute('37.54, -77.44', 'charlottesville').source);
+        this.recordResult('Route Distance', 'Unknown coordinates fall back to a straight-line estimate', 'estimate', routing.getRoute('central-virginia', { lat: 37.4138, lng: -79.1422 }).source);
+
+        const testCases = [
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: '1', pickup: 'central-virginia', dropoff: 'charlottesville' }, expected: 339.35, description: 'Sedan Richmond to Charlottesville bills road miles, drive time and the deadhead back' },
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: '1', pickup: 'central-virginia', dropoff: 'ric' }, expected: 155, description: 'Short route keeps the flat mileage charge' },
+            { request: { serviceType: 'point-to-point', vehicleType: 'sedan', estimatedTime: '3', pickup: 'central-virginia', dropoff: 'ric' }, expected: 372, description: 'Longer customer estimate than the drive time is kept' }
+        ];
+        this.runQuoteCases('Route Distance', testCases, 'retail');
+
+        const unroutable = Engine.quote(this.withQuoteDate({ serviceType: 'point-to-point', vehicleType: 'sedan', pickup: 'somewhere', dropoff: 'ric' }), 'retail');
+        this.recordResult('Route Distance', 'Unrecognized location rejected', false, unroutable.success);
+    }
+
+    /**
+     * Airport quotes: zone rates, round trips and legacy airport keys
+     */
+    testAirportQuotes() {
+        const testCases = [
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'dca', tripType: 'one-way' }, expected: 450, description: 'Sedan Central VA to DCA' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'national', tripType: 'one-way' }, expected: 450, description: 'Legacy airport key maps to DCA' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'williamsburg', tripType: 'round-trip' }, expected: 504, description: 'Sedan Williamsburg round trip' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', tripType: 'one-way', vehicleCount: 2 }, expected: 189, description: 'Two sedans to RIC with multi-vehicle discount' }
+        ];
+
+        this.runQuoteCases('Airport Quotes', testCases, 'retail');
+    }
+
+    /**
+     * Pickup address, ZIP code or coordinates resolve to the airport pricing zone
+     */
+    testZoneResolver() {
+        const resolver = Engine.zoneResolver;
+        const lookups = [
+            { pickup: '1200 W Cary St, Richmond, VA 23220', expected: 'central-virginia', description: 'Richmond ZIP resolves to Central Virginia' },
+            { pickup: 'Colonial Heights, VA 23834', expected: 'prince-george', description: 'Full ZIP beats a shorter prefix' },
+            { pickup: 'Virginia Beach', expected: 'norfolk', description: 'City name resolves without a ZIP' },
+            { pickup: '38.03, -78.48', expected: 'charlottesville', description: 'Coordinates resolve by zone polygon' },
+            { pickup: 'Williamsburg, VA 23185', expected: null, description: 'Address outside every zone is not resolved' }
+        ];
+
+        lookups.forEach(lookup => {
+            const match = resolver.resolve(lookup.pickup);
+            this.recordResult('Zone Resolver', lookup.description, lookup.expected, match ? match.zone : null);
+        });
+
+        const testCases = [
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'dca', pickupAddress: 'Hopewell, VA 23860' }, expected: 450, description: 'Sedan Hopewell to DCA priced from Prince George' },
+            { request: { serviceType: 'airport', vehicleType: 'transit', airportCode: 'ric', pickupAddress: 'Norfolk, VA 23510', pickupZone: 'central-virginia' }, expected: 175, description: 'Resolved address overrides the selected zone' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', pickupAddress: '10 Elm St', pickupZone: 'prince-george' }, expected: 105, description: 'Selected zone used when the address cannot be placed' }
+        ];
+        this.runQuoteCases('Zone Resolver', testCases, 'retail');
+
+        const unplaced = Engine.quote(this.withQuoteDate({ serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', pickupAddress: '10 Elm St' }), 'retail');
+        this.recordResult('Zone Resolver', 'Unplaced address without a zone rejected', false, unplaced.success);
+    }
+
+    /**
+     * Airport routes in both directions, pickup fees and round-trip itineraries
+     */
+    testAirportRoutes() {
+        const zones = Engine.zonePricing;
+        this.recordResult('Airport Routes', 'Airport to zone uses the zone to airport rate', 450, zones.getRate('sedan', 'dca', 'central-virginia'));
+        this.recordResult('Airport Routes', 'Zone-to-zone destinations are typed as zones', 'zone', zones.getLocation('central-virginia').type);
+
+        const itinerary = zones.getRouteDetails('sedan', 'central-virginia', 'ric', { roundTrip: true, returnLegShare: 0.8 });
+        this.recordResult('Airport Routes', 'Round trip itinerary returns to the pickup zone',
+            'Central Virginia → Richmond International Airport → Central Virginia', itinerary.route);
+        this.recordResult('Airport Routes', 'Return leg is an airport pickup', 'airport-pickup', itinerary.legs[1].type);
+
+        const pickup = { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', direction: 'from-airport' };
+        const testCases = [
+            { request: pickup, expected: 105, description: 'Sedan RIC pickup, no extras' },
+            { request: { ...pickup, meetAndGreet: true }, expected: 130, description: 'Meet and greet added to an airport pickup' },
+            { request: { ...pickup, waitMinutes: 50 }, expected: 155, description: 'Wait past the 30 minute grace billed in 15 minute steps' },
+            { request: { ...pickup, waitMinutes: 50, internationalFlight: true }, expected: 105, description: 'International flights get a 60 minute grace' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', tripType: 'one-way', meetAndGreet: true }, expected: 105, description: 'Meet and greet ignored for drop-offs' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', tripType: 'round-trip', meetAndGreet: true }, expected: 214, description: 'Round trip bills meet and greet on the return pickup' }
+        ];
+        this.runQuoteCases('Airport Routes', testCases, 'retail');
+
+        const dulles = zones.getRouteDetails('sedan', 'central-virginia', 'iad');
+        this.recordResult('Airport Routes', 'Richmond to IAD includes I-95 Express Lanes, Dulles Toll Road and the airport fee',
+            'I-95 Express Lanes, Dulles Toll Road, IAD Commercial Ground Transportation Fee', dulles.costs.map(cost => cost.item).join(', '));
+        this.recordResult('Airport Routes', 'Zone-limited tolls skipped for other zones', 1, zones.getRouteCosts('norfolk', 'iad').length);
+        const dcaRoundTrip = zones.getRouteDetails('sedan', 'central-virginia', 'dca', { roundTrip: true, returnLegShare: 0.8 });
+        this.recordResult('Airport Routes', 'Round trip pays tolls on both legs', 36, dcaRoundTrip.costs.find(cost => cost.item === 'I-95 Express Lanes').amount);
+
+        const dcaQuote = Engine.quote(this.withQuoteDate({ serviceType: 'airport', vehicleType: 'sedan', airportCode: 'dca', tripType: 'one-way' }), 'retail');
+        this.recordResult('Airport Routes', 'Tolls and parking itemized within the flat rate', 450,
+            dcaQuote.rateBreakdown.reduce((sum, line) => sum + line.amount, 0));
+        this.recordResult('Airport Routes', 'Pass-through costs listed on the quote', 24,
+            dcaQuote.passThroughCosts.reduce((sum, cost) => sum + cost.amount, 0));
+    }
+
+    /**
+     * Travel-time estimates: routed drive time, traffic by time of day, deadhead to HQ and driver-hour limits
+     */
+    testTravelTime() {
+        const travel = Engine.zonePricing.getTravelTime();
+        const dca = travel.estimateLeg('central-virginia', 'dca');
+        this.recordResult('Travel Time', 'Richmond to DCA adds the return to HQ', 'service, deadhead', dca.segments.map(segment => segment.type).join(', '));
+        this.recordResult('Travel Time', 'Richmond to DCA without a time uses the DC area profile', 4.22, dca.hours);
+        this.recordResult('Travel Time', 'Weekday morning uses DC rush hour', 'DC morning rush', travel.getTraffic('central-virginia', 'dca', '2025-02-04', 8 * 60).name);
+        this.recordResult('Travel Time', 'Weekend morning has no rush hour', 'Washington, DC area', travel.getTraffic('central-virginia', 'dca', '2025-02-08', 8 * 60).name);
+        this.recordResult('Travel Time', 'Night period runs past midnight', 'Night', travel.getTraffic('central-virginia', 'ric', '2025-02-04', 60).name);
+        this.recordResult('Travel Time', 'Unroutable location has no estimate', null, travel.estimateLeg('somewhere', 'dca'));
+
+        const night = travel.estimateLeg('central-virginia', 'dca', { serviceDate: '2025-02-04', serviceTime: '23:00' });
+        this.recordResult('Travel Time', 'Unknown time gives a wider range than a known one', true,
+            dca.highHours - dca.lowHours > night.highHours - night.lowHours);
+
+        const offPeak = Engine.quote(this.withQuoteDate({ serviceType: 'airport', vehicleType: 'sedan', pickupZone: 'prince-george', airportCode: 'bwi', serviceDate: '2025-02-08', serviceTime: '11:00' }), 'retail');
+        this.recordResult('Travel Time', 'Prince George to BWI on a Saturday fits one driver', true, offPeak.driverHours.withinLimits);
+        const rushHour = Engine.quote(this.withQuoteDate({ serviceType: 'airport', vehicleType: 'sedan', pickupZone: 'prince-george', airportCode: 'bwi', serviceDate: '2025-02-04', serviceTime: '16:00' }), 'retail');
+        this.recordResult('Travel Time', 'Prince George to BWI in DC rush hour exceeds the driving limit', false, rushHour.driverHours.withinLimits);
+        this.recordResult('Travel Time', 'Driving limit sends the quote for approval', true, rushHour.requiresApproval);
+    }
+
+    /**
+     * Multi-stop itineraries: stop timeline, garage-to-garage hours and the cheaper of hourly or chained legs
+     */
+    testMultiStopItineraries() {
+        const planner = Engine.itineraryPlanner;
+        const planned = planner.plan([
+            { location: 'central-virginia', arrival: '09:00', waitMinutes: 10 },
+            { location: 'charlottesville', arrival: '10:00' },
+            { location: 'cho', arrival: '13:00' }
+        ]).itinerary;
+        this.recordResult('Multi-Stop', 'Unreachable planned arrival flagged', 1, planned.warnings.length);
+        this.recordResult('Multi-Stop', 'Early arrival waits for the planned time', 140, planned.legs[1].idleMinutes);
+        this.recordResult('Multi-Stop', 'Garage-to-garage hours include the drive back to HQ', 5.25, planned.garageHours);
+        this.recordResult('Multi-Stop', 'Single stop rejected', false, planner.plan([{ location: 'ric' }]).success);
+
+        const tour = [{ location: 'central-virginia' }, { location: 'williamsburg' }, { location: 'norfolk' }];
+        const testCases = [
+            { request: { serviceType: 'multi-stop', vehicleType: 'sedan', stops: tour }, expected: 383.97, description: 'Sedan tour priced as chained point-to-point legs' },
+            { request: { serviceType: 'multi-stop', vehicleType: 'limo-bus', stops: tour }, expected: 832, description: 'Limo bus tour priced hourly garage to garage' }
+        ];
+        this.runQuoteCases('Multi-Stop', testCases, 'retail');
+
+        const hourly = Engine.quote(this.withQuoteDate({ serviceType: 'multi-stop', vehicleType: 'limo-bus', stops: tour }), 'retail');
+        this.recordResult('Multi-Stop', 'Every leg shown in the hourly breakdown', 4, hourly.rateBreakdown.length);
+        this.recordResult('Multi-Stop', 'Hourly breakdown adds up to the billed hours', 832,
+            this.round(hourly.rateBreakdown.reduce((sum, line) => sum + line.amount, 0)));
+        const unknownStop = Engine.quote(this.withQuoteDate({ serviceType: 'multi-stop', vehicleType: 'sedan', stops: [{ location: 'ric' }, { location: 'somewhere' }] }), 'retail');
+        this.recordResult('Multi-Stop', 'Unknown stop location rejected', false, unknownStop.success);
+    }
+
+    /**
+     * Deadhead: out-of-area pickups pay for the drive from the nearest base beyond the free miles
+     */
+    testDeadhead() {
+        const testCases = [
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', pickupAddress: '200 E Main St, Richmond, VA' }, expected: 400, description: 'Richmond pickup has no deadhead charge' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', pickupAddress: 'Waterside Dr, Norfolk, VA' }, expected: 719.52, description: 'Norfolk pickup pays deadhead both ways from Richmond' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday', pickupAddress: 'Waterside Dr, Norfolk, VA' }, expected: 679.52, description: 'Deadhead is not discounted' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', pickupAddress: 'Somewhere Rd' }, expected: 400, description: 'Unplaced pickup quoted without deadhead' },
+            { request: { serviceType: 'hourly', vehicleType: 'transit', hours: 4, dayType: 'weekend', pickupAddress: '1200 Arlington Rd, Richmond, VA 23230' }, expected: 548, description: 'Street named after a town does not move a Richmond pickup' }
+        ];
+        this.runQuoteCases('Deadhead', testCases, 'retail');
+        this.recordResult('Deadhead', 'Quote with deadhead is rounded to the cent', 988.42,
+            Engine.quote(this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'transit', hours: 4, dayType: 'weekend', pickupAddress: '1200 Arlington Rd, Arlington, VA' }), 'retail').total);
+
+        const reston = request => Engine.quote(this.withQuoteDate(Object.assign({ serviceType: 'hourly', hours: 4, dayType: 'weekend', pickupAddress: '11900 Sunrise Valley Dr, Reston, VA' }, request)), 'retail');
+        this.recordResult('Deadhead', 'Reston sedan comes from the staged vehicle', 'Tysons staging lot', reston({ vehicleType: 'sedan' }).deadhead.base);
+        this.recordResult('Deadhead', 'Reston transit comes from Richmond HQ', 'Richmond HQ', reston({ vehicleType: 'transit' }).deadhead.base);
+        this.recordResult('Deadhead', 'Reston transit deadhead charged both ways', 2, reston({ vehicleType: 'transit' }).adjustments.filter(adjustment => adjustment.deadhead).length);
+
+        const capitalOne = vehicleType => Engine.quote(this.withQuoteDate({ serviceType: 'hourly', vehicleType: vehicleType, hours: 4, pickupAddress: '1680 Capital One Dr, McLean, VA' }), 'groundspan');
+        Object.keys(Engine.hourlyRates).forEach(vehicleType => {
+            this.recordResult('Deadhead', `Capital One campus ${vehicleType} pickup has no deadhead charge`, 0, capitalOne(vehicleType).deadhead.amount);
+        });
+        this.recordResult('Deadhead', 'Capital One transit priced at the contract rate alone', 588, capitalOne('transit').total);
+        this.recordResult('Deadhead', 'Airport transfers are not charged deadhead', null,
+            Engine.quote(this.withQuoteDate({ serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', pickupAddress: 'Norfolk, VA' }), 'retail').deadhead);
+    }
+
+    /**
+     * Fleet catalog: one description per vehicle, and parties too large for the vehicle are turned away with an upgrade
+     */
+    testFleetCatalog() {
+        const fleet = Engine.fleet;
+        this.recordResult('Fleet Catalog', 'Every priced vehicle is in the catalog', true,
+            Object.keys(Engine.hourlyRates).every(vehicleType => fleet.get(vehicleType) !== null));
+        this.recordResult('Fleet Catalog', 'Airport routes use the catalog name', 'Executive Sedan (Lincoln MKT/Aviator)',
+            Engine.zonePricing.getRouteDetails('sedan', 'central-virginia', 'ric').vehicleType);
+        this.recordResult('Fleet Catalog', 'Customer pages use the retail name', 'Luxury Coach', fleet.getName('limo-bus', 'customer'));
+
+        const quote = request => Engine.quote(this.withQuoteDate(Object.assign({ serviceType: 'hourly', hours: 3, dayType: 'weekend' }, request)), 'retail');
+        const crowded = quote({ vehicleType: 'sedan', passengers: 5 });
+        this.recordResult('Fleet Catalog', 'Five passengers in a sedan rejected', false, crowded.success);
+        this.recordResult('Fleet Catalog', 'Sedan upgrade is the smallest vehicle that fits', 'stretch-limo', crowded.suggestedVehicle);
+        this.recordResult('Fleet Catalog', 'Upgrade stays in the same class when one fits', 'sprinter-limo', quote({ vehicleType: 'stretch-limo', passengers: 9 }).suggestedVehicle);
+        this.recordResult('Fleet Catalog', 'Two sedans seat five passengers', true, quote({ vehicleType: 'sedan', passengers: 5, vehicleCount: 2 }).success);
+        this.recordResult('Fleet Catalog', 'Luggage beyond capacity rejected', 'executive-mini-bus', quote({ vehicleType: 'transit', passengers: 6, luggage: 9 }).suggestedVehicle);
+        this.recordResult('Fleet Catalog', 'No upgrade when nothing fits', null, quote({ vehicleType: 'limo-bus', passengers: 30 }).suggestedVehicle);
+        this.recordResult('Fleet Catalog', 'Quote reports the seats checked', 12, quote({ vehicleType: 'executive-mini-bus', passengers: 12 }).capacity.seats);
+    }
+
+    /**
+     * Vehicle recommendations: every fitting configuration priced as one booking, cheapest first
+     */
+    testVehicleRecommendations() {
+        const recommend = request => Engine.recommendVehicles(this.withQuoteDate(Object.assign({ serviceType: 'hourly', hours: 4, dayType: 'weekend' }, request)), 'retail');
+        const party = recommend({ passengers: 16 });
+        this.recordResult('Vehicle Recommendations', 'Limo bus is the cheapest way to move 16', '1 × Executive Limo Bus', party.options[0].description);
+        this.recordResult('Vehicle Recommendations', 'Transit plus sedan priced with the multi-vehicle discount', 853.2, this.round(party.options[1].total));
+        this.recordResult('Vehicle Recommendations', 'Options ranked cheapest first', true,
+            party.options.every((option, index) => index === 0 || party.options[index - 1].total <= option.total));
+        this.recordResult('Vehicle Recommendations', 'No option carries a spare vehicle', true,
+            party.options.every(option => option.vehicleCount <= 2));
+
+        const withBags = recommend({ passengers: 10, luggage: 12 });
+        this.recordResult('Vehicle Recommendations', 'Luggage rules out vehicles with enough seats', false,
+            withBags.options.some(option => option.description === '1 × Executive Limo Bus' || option.description === '1 × Sprinter Limousine'));
+        this.recordResult('Vehicle Recommendations', 'Promo codes are left for the booking', null,
+            recommend({ passengers: 3, promoCode: 'SPRING10' }).options[0].quotes[0].promoCode);
+        this.recordResult('Vehicle Recommendations', 'Party too large for three vehicles rejected', false, recommend({ passengers: 80 }).success);
+        this.recordResult('Vehicle Recommendations', 'Passenger count required', false, recommend({}).success);
+    }
+
+    /**
+     * Flight-aware pickups: delays move the pickup and are billed once past the airport's grace period
+     */
+    testFlightStatus() {
+        const flights = Engine.flightStatus;
+        const arriving = (flight, scheduled, estimated, international = false) => ({
+            flight: flight, status: scheduled === estimated ? 'scheduled' : 'delayed', international: international,
+            scheduledArrival: `2025-03-14T${scheduled}`, estimatedArrival: `2025-03-14T${estimated}`
+        });
+
+        this.recordResult('Flight Status', 'Airline and flight number normalized', 'AA1234', flights.normalizeFlight('aa', ' 1234'));
+        this.recordResult('Flight Status', 'Malformed flight number rejected', null, flights.normalizeFlight('American', '12'));
+
+        const plan = flights.getPickupPlan(arriving('DL2210', '17:45', '19:00'), 'iad');
+        this.recordResult('Flight Status', 'Pickup moves to the estimated arrival', '19:00', plan.pickupTime);
+        this.recordResult('Flight Status', 'Dulles gets a 45 minute grace period', '18:30', plan.freeWaitUntil);
+
+        const pickup = { serviceType: 'airport', vehicleType: 'sedan', direction: 'from-airport' };
+        const testCases = [
+            { request: { ...pickup, airportCode: 'ric', flightStatus: arriving('UA890', '19:10', '19:30') }, expected: 105, description: 'Delay inside the grace period is free' },
+            { request: { ...pickup, airportCode: 'ric', flightStatus: arriving('DL2210', '17:45', '19:00') }, expected: 180, description: 'RIC 75 minute delay bills 45 minutes of wait' },
+            { request: { ...pickup, airportCode: 'iad', flightStatus: arriving('DL2210', '17:45', '19:00') }, expected: 510, description: 'IAD 75 minute delay bills 30 minutes after the longer grace' },
+            { request: { ...pickup, airportCode: 'ric', flightStatus: arriving('BA293', '16:05', '17:40', true) }, expected: 180, description: 'International flight gets the 60 minute grace' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', tripType: 'one-way', flightStatus: arriving('DL2210', '17:45', '19:00') }, expected: 105, description: 'Departing flight delay not billed on a drop-off' }
+        ];
+        this.runQuoteCases('Flight Status', testCases, 'retail');
+    }
+
+    /**
+     * Platform-specific pricing: Groundspan premiums, corporate discount, GNET commission
+     */
+    testPlatformAdjustments() {
+        const hourly = { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday' };
+        const airport = { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'dca', tripType: 'one-way' };
+
+        this.runQuoteCases('Platform Adjustments', [
+            { request: hourly, expected: 440, description: 'Groundspan hourly premium, no discounts' },
+            { request: airport, expected: 485, description: 'Groundspan DCA contract rate' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', tripType: 'one-way' }, expected: 117.6, description: 'Groundspan RIC zone rate plus premium' }
+        ], 'groundspan');
+
+        this.runQuoteCases('Platform Adjustments', [
+            { request: hourly, expected: 306, description: 'Corporate weekday and volume discounts' }
+        ], 'corporate');
+
+        const gnetQuote = Engine.quote(this.withQuoteDate(airport), 'gnet');
+        this.recordResult('Platform Adjustments', 'GNET airport premium commission', 67.5, this.round(gnetQuote.commission?.amount));
+
+        const standardQuote = Engine.quote(this.withQuoteDate(hourly), 'standard');
+        this.recordResult('Platform Adjustments', 'Standard platform maps to retail', 'retail', standardQuote.platform);
+    }
+
+    /**
+     * Invalid requests return an error result instead of throwing
+     */
+    testInvalidRequests() {
+        const testCases = [
+            { request: { serviceType: 'hourly', vehicleType: 'invalid-vehicle', hours: 3 }, description: 'Unknown vehicle type' },
+            { request: { serviceType: 'charter', vehicleType: 'sedan' }, description: 'Unknown service type' },
+            { request: { serviceType: 'airport', vehicleType: 'sedan', pickupZone: 'norfolk', airportCode: 'dca' }, description: 'Unavailable airport route' }
+        ];
+
+        testCases.forEach(testCase => {
+            const quote = Engine.quote(this.withQuoteDate(testCase.request), 'retail');
+            this.recordResult('Invalid Requests', testCase.description, false, quote.success);
+        });
+
+        // No rates until a rate card is applied, so nothing is quoted before the card loads
+        const snapshot = RateCardLoader.snapshot();
+        const previousResolver = Engine.rateSchedule;
+        try {
+            Engine.rateCard = null;
+            Engine.rateSchedule = null;
+            const quote = Engine.quote(this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend' }), 'retail');
+            this.recordResult('Invalid Requests', 'Quote refused before a rate card is loaded', 'Rates are not available right now. Please try again later.', quote.error);
+        } finally {
+            RateCardLoader.restore(snapshot);
+            Engine.rateSchedule = previousResolver;
+        }
+    }
+
+    /**
+     * Day type comes from the service date, not the requested dropdown value
+     */
+    testHolidayCalendar() {
+        const dayTypeCases = [
+            { date: '2025-11-27', expected: 'holiday', description: 'Thanksgiving 2025 is a holiday' },
+            { date: '2025-05-26', expected: 'holiday', description: 'Memorial Day 2025 is a holiday' },
+            { date: '2026-01-19', expected: 'holiday', description: 'MLK Day 2026 is a holiday' },
+            { date: '2025-06-10', expected: 'weekday', description: 'Tuesday is a weekday' },
+            { date: '2025-06-13', expected: 'weekend', description: 'Friday is a weekend day' }
+        ];
+
+        dayTypeCases.forEach(testCase => {
+            this.recordResult('Holiday Calendar', testCase.description, testCase.expected, Calendar.getDayType(testCase.date));
+        });
+
+        this.runQuoteCases('Holiday Calendar', [
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday', serviceDate: '2025-06-14' }, expected: 400, description: 'Saturday service ignores requested weekday discount' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', serviceDate: '2025-07-04' }, expected: 500, description: 'Independence Day service gets holiday surcharge' },
+            { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, serviceDate: '2025-06-10' }, expected: 360, description: 'Tuesday service gets weekday discount' }
+        ], 'retail');
+
+        const previousLocalHolidays = Calendar.localHolidays;
+        Calendar.setLocalHolidays([{ name: 'Prom Weekend', start: '2025-05-16', end: '2025-05-18' }]);
+        this.recordResult('Holiday Calendar', 'Configured prom weekend is a holiday', 'Prom Weekend', Calendar.getHoliday('2025-05-17'));
+        this.recordResult('Holiday Calendar', 'Day after prom weekend is not a holiday', 'weekday', Calendar.getDayType('2025-05-19'));
+        Calendar.localHolidays = previousLocalHolidays;
+    }
+
+    /**
+     * Peak-season windows add their own adjustment line and can raise the hourly minimum
+     */
+    testPricingWindows() {
+        const previousWindows = Engine.pricingWindows;
+        Engine.pricingWindows = [
+            { id: 'prom-2025', name: 'Prom Season', start: '2025-04-25', end: '2025-05-31', vehicles: ['stretch-limo', 'limo-bus'], adjustment: { type: 'percent', amount: 0.15 }, minimumHours: 5 },
+            { id: 'wedding-2025', name: 'Wedding Season', start: '2025-09-01', end: '2025-10-31', serviceTypes: ['hourly'], adjustment: { type: 'flat', amount: 50 } }
+        ];
+
+        try {
+            const promQuote = Engine.quote(this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'stretch-limo', hours: 3, serviceDate: '2025-05-10' }), 'retail');
+            this.recordResult('Pricing Windows', 'Prom season raises minimum to 5 hours', 5, promQuote.billedHours);
+            this.recordResult('Pricing Windows', 'Prom season adds 15% to 5 hour weekend rate', 920, this.round(promQuote.total));
+            this.recordResult('Pricing Windows', 'Prom season shown as its own adjustment', 'prom-2025',
+                promQuote.adjustments.find(adjustment => adjustment.pricingWindow)?.pricingWindow);
+
+            this.runQuoteCases('Pricing Windows', [
+                { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 3, serviceDate: '2025-05-10' }, expected: 300, description: 'Prom season skips vehicles outside its subset' },
+                { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, serviceDate: '2025-09-13' }, expected: 450, description: 'Wedding season flat adjustment' },
+                { request: { serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric', serviceDate: '2025-09-13' }, expected: 105, description: 'Wedding season limited to hourly service' },
+                { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, serviceDate: '2025-11-08' }, expected: 400, description: 'No window outside its dates' }
+            ], 'retail');
+        } finally {
+            Engine.pricingWindows = previousWindows;
+        }
+    }
+
+    /**
+     * Discount stacking: order, non-stacking discounts, exclusions and the per-platform cap
+     */
+    testDiscountPolicy() {
+        const stackedTrip = { serviceType: 'hourly', vehicleType: 'sedan', hours: 6, dayType: 'weekday', bookingNotice: 'short' };
+
+        this.runQuoteCases('Discount Policy', [
+            { request: Object.assign({ vehicleCount: 2 }, stackedTrip), expected: 780, description: '6hr Tuesday short-notice multi-vehicle capped at 35%' },
+            { request: stackedTrip, expected: 413.1, description: 'Stacked discounts under the cap compound in order' }
+        ], 'retail');
+        this.recordResult('Discount Policy', 'Capped discount total rounded to the cent', 780,
+            Engine.quote(Object.assign({ vehicleCount: 2 }, stackedTrip), 'retail').total);
+        this.recordResult('Discount Policy', 'Groundspan RIC transfer total rounded to the cent', 117.6,
+            Engine.quote({ serviceType: 'airport', vehicleType: 'sedan', airportCode: 'ric' }, 'groundspan').total);
+
+        const previousPolicy = Engine.discountPolicy;
+        const policyWith = changes => {
+            const policy = JSON.parse(JSON.stringify(previousPolicy));
+            changes(policy.discounts);
+            return policy;
+        };
+
+        try {
+            Engine.discountPolicy = policyWith(discounts => { discounts.shortNotice.excludes = ['weekday']; });
+            this.runQuoteCases('Discount Policy', [
+                { request: stackedTrip, expected: 486, description: 'Short notice excluded when weekday discount applies' }
+            ], 'retail');
+
+            Engine.discountPolicy = policyWith(discounts => { discounts.corporate.stacks = false; });
+            this.runQuoteCases('Discount Policy', [
+                { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday' }, expected: 360, description: 'Non-stacking corporate discount skipped after weekday discount' }
+            ], 'corporate');
+
+            Engine.discountPolicy = policyWith(discounts => { discounts.corporate.stacks = false; discounts.corporate.order = 5; });
+            this.runQuoteCases('Discount Policy', [
+                { request: { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekday' }, expected: 340, description: 'Non-stacking corporate discount applied alone when first' }
+            ], 'corporate');
+        } finally {
+            Engine.discountPolicy = previousPolicy;
+        }
+    }
+
+    /**
+     * Discounts can't push a trip below its cost floor (driver pay, fuel, mileage)
+     */
+    testMarginGuard() {
+        const stackedTrip = { serviceType: 'hourly', vehicleType: 'sedan', hours: 6, dayType: 'weekday', bookingNotice: 'short' };
+        const previousGuard = Engine.marginGuard;
+
+        try {
+            const floorQuote = Engine.quote(this.withQuoteDate(stackedTrip), 'retail');
+            this.recordResult('Margin Guard', 'Sedan 6 hour cost floor is driver pay, fuel and mileage', 240, floorQuote.marginGuard.costFloor);
+            this.recordResult('Margin Guard', 'Quote above the floor needs no approval', false, floorQuote.requiresApproval);
+
+            // Require a 100% margin over cost so the stacked discounts breach the floor ($480)
+            Engine.marginGuard = { action: 'clamp', minimumMargin: 1 };
+            const clamped = Engine.quote(this.withQuoteDate(stackedTrip), 'retail');
+            this.recordResult('Margin Guard', 'Clamp trims discounts back to the floor', 480, this.round(clamped.total));
+            this.recordResult('Margin Guard', 'Clamped quote needs no approval', false, clamped.requiresApproval);
+
+            Engine.marginGuard = { action: 'approval', minimumMargin: 1 };
+            const flagged = Engine.quote(this.withQuoteDate(stackedTrip), 'retail');
+            this.recordResult('Margin Guard', 'Approval mode keeps the discounted total', 413.1, this.round(flagged.total));
+            this.recordResult('Margin Guard', 'Approval mode flags the quote for dispatch', true, flagged.requiresApproval);
+        } finally {
+            Engine.marginGuard = previousGuard;
+        }
+    }
+
+    /**
+     * Promo codes: percent and flat values, validity dates, restrictions and usage limits
+     */
+    testPromoCodes() {
+        const weekendTrip = { serviceType: 'hourly', vehicleType: 'sedan', hours: 3, dayType: 'weekend' };
+        const previousCodes = Object.values(Promos.codes);
+        const previousUsage = Promos.usage;
+
+        try {
+            Promos.setCodes([
+                { code: 'SPRING10', type: 'percent', value: 0.1, validFrom: '2025-01-01', validTo: '2025-03-31' },
+                { code: 'WELCOME25', type: 'flat', value: 25, perCustomerLimit: 1 },
+                { code: 'LIMO15', type: 'percent', value: 0.15, vehicles: ['stretch-limo'] },
+                { code: 'LAUNCH', type: 'flat', value: 20, maxUses: 1 },
+                { code: 'EXPIRED', type: 'percent', value: 0.1, validTo: '2024-12-31' }
+            ]);
+            Promos.usage = {};
+
+            const percent = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'spring10' }), 'retail');
+            this.recordResult('Promo Codes', 'Percent code discounts the trip', 270, this.round(percent.total));
+            this.recordResult('Promo Codes', 'Percent code is reported as applied', true, percent.promoCode.applied);
+
+            const flat = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'WELCOME25', customerId: 'rider@example.com' }), 'retail');
+            this.recordResult('Promo Codes', 'Flat code takes a fixed amount off', 275, this.round(flat.total));
+
+            const noCustomer = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'WELCOME25' }), 'retail');
+            this.recordResult('Promo Codes', 'Per-customer code needs a customer', false, noCustomer.promoCode.applied);
+
+            Promos.redeem('WELCOME25', 'Rider@example.com');
+            const reused = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'WELCOME25', customerId: 'rider@example.com' }), 'retail');
+            this.recordResult('Promo Codes', 'Per-customer limit blocks a second use', 300, this.round(reused.total));
+
+            const expired = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'EXPIRED' }), 'retail');
+            this.recordResult('Promo Codes', 'Expired code is not applied', 'Promo code has expired', expired.promoCode.error);
+
+            const wrongVehicle = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'LIMO15' }), 'retail');
+            this.recordResult('Promo Codes', 'Vehicle-restricted code is not applied to a sedan', false, wrongVehicle.promoCode.applied);
+
+            Promos.redeem('LAUNCH', 'first@example.com');
+            const usedUp = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'LAUNCH' }), 'retail');
+            this.recordResult('Promo Codes', 'Code past its usage limit is not applied', 'Promo code usage limit reached', usedUp.promoCode.error);
+
+            const gnet = Engine.quote(this.withQuoteDate({ ...weekendTrip, promoCode: 'SPRING10' }), 'gnet');
+            this.recordResult('Promo Codes', 'Retail code is not applied to GNET quotes', false, gnet.promoCode.applied);
+        } finally {
+            Promos.setCodes(previousCodes);
+            Promos.usage = previousUsage;
+        }
+    }
+
+    /**
+     * Gift certificates: issue, partial redemption, remaining balance and expiry
+     */
+    testGiftCertificates() {
+        const previousCertificates = GiftLedger.certificates;
+
+        try {
+            GiftLedger.certificates = {};
+            const issued = GiftLedger.issue({ code: 'tnt-gc-wed001', amount: 500, recipient: 'Wedding Couple' }, '2025-01-02');
+            this.recordResult('Gift Certificates', 'Certificate expires five years after issue', '2030-01-02', issued.certificate.expiresOn);
+            this.recordResult('Gift Certificates', 'Duplicate code rejected', false, GiftLedger.issue({ code: 'TNT-GC-WED001', amount: 100 }, '2025-01-02').success);
+            this.recordResult('Gift Certificates', 'Zero amount rejected', false, GiftLedger.issue({ amount: 0 }, '2025-01-02').success);
+
+            const partial = GiftLedger.redeem('TNT-GC-WED001', 300, 'TNT-000001', '2025-02-14');
+            this.recordResult('Gift Certificates', 'Trip below the balance is fully covered', 0, partial.amountDue);
+            this.recordResult('Gift Certificates', 'Balance is drawn down by the trip', 200, partial.remainingBalance);
+
+            const exhausted = GiftLedger.redeem('TNT-GC-WED001', 450, 'TNT-000002', '2025-06-01');
+            this.recordResult('Gift Certificates', 'Trip above the balance leaves an amount due', 250, exhausted.amountDue);
+            this.recordResult('Gift Certificates', 'Ledger records issue and both redemptions', 3, GiftLedger.getCertificate('TNT-GC-WED001').transactions.length);
+            this.recordResult('Gift Certificates', 'Used-up certificate rejected', false, GiftLedger.redeem('TNT-GC-WED001', 100, 'TNT-000003', '2025-06-02').success);
+
+            GiftLedger.issue({ code: 'TNT-GC-ANN001', amount: 200, expiresOn: '2025-12-31' }, '2025-01-02');
+            this.recordResult('Gift Certificates', 'Certificate can be used on its expiry date', true, GiftLedger.validate('TNT-GC-ANN001', '2025-12-31').valid);
+            this.recordResult('Gift Certificates', 'Expired certificate rejected', false, GiftLedger.redeem('TNT-GC-ANN001', 100, 'TNT-000004', '2026-01-01').success);
+        } finally {
+            GiftLedger.certificates = previousCertificates;
+        }
+    }
+
+    /**
+     * Saved quotes: frozen records with an ID, rate card version and an expiry the price is honored until
+     */
+    testQuoteStore() {
+        const previousQuotes = Quotes.quotes;
+
+        try {
+            Quotes.quotes = {};
+            const request = this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend' });
+            const created = Quotes.create(request, 'retail', new Date('2025-01-02T12:00:00Z'));
+            const saved = Quotes.getQuote(created.quoteId.toLowerCase());
+            this.recordResult('Quote Store', 'Quote saved under its ID', created.quoteId, saved && saved.id);
+            this.recordResult('Quote Store', 'Saved breakdown matches the quote shown', 400, saved.quote.total);
+            this.recordResult('Quote Store', 'Rate card version recorded', Engine.rateCard.version, saved.rateCardVersion);
+            this.recordResult('Quote Store', 'Price held for three days without a service date', '2025-01-05T12:00:00.000Z', saved.expiresAt);
+
+            request.hours = 8;
+            this.recordResult('Quote Store', 'Saved request unaffected by later form edits', 4, saved.request.hours);
+            this.recordResult('Quote Store', 'Saved breakdown cannot be edited', true, Object.isFrozen(saved.quote.adjustments));
+
+            this.recordResult('Quote Store', 'Price honored before expiry', true, Quotes.validate(saved.id, new Date('2025-01-05T11:59:00Z')).valid);
+            const expired = Quotes.validate(saved.id, new Date('2025-01-05T12:00:00Z'));
+            this.recordResult('Quote Store', 'Expired quote no longer honored', false, expired.valid);
+            this.recordResult('Quote Store', 'Expired quote can still be re-rendered', saved.id, expired.quote && expired.quote.id);
+
+            const pickupSoon = Quotes.getExpiry({ serviceDate: '2025-01-03', serviceTime: '09:00' }, new Date(2025, 0, 2, 12, 0));
+            this.recordResult('Quote Store', 'Expiry capped at pickup', new Date(2025, 0, 3, 9, 0).getTime(), pickupSoon.getTime());
+
+            this.recordResult('Quote Store', 'Failed quote not saved', 1,
+                Quotes.create({ serviceType: 'hourly', vehicleType: 'hovercraft', hours: 4 }, 'retail').success === false && Object.keys(Quotes.quotes).length);
+            this.recordResult('Quote Store', 'Unknown quote ID rejected', false, Quotes.validate('TNT-Q-MISSING').valid);
+            this.recordResult('Quote Store', 'Share link names the quote', `https://tntlimousine.com/quote.html?quote=${saved.id}`,
+                Quotes.getShareUrl(saved.id, 'https://tntlimousine.com/quote.html'));
+
+            this.recordResult('Quote Store', 'Expired quote kept through the retention period', 0, Quotes.prune(new Date('2025-02-04T11:00:00Z')));
+            const later = Quotes.create(request, 'retail', new Date('2025-02-04T13:00:00Z'));
+            this.recordResult('Quote Store', 'Quotes expired past retention dropped on save', later.quoteId, Object.keys(Quotes.quotes).join());
+        } finally {
+            Quotes.quotes = previousQuotes;
+        }
+    }
+
+    /**
+     * Booking from a saved quote: the quoted total holds unless the quote expired or the trip changed
+     */
+    testQuoteBooking() {
+        const previousQuotes = Quotes.quotes;
+        const previousRates = Engine.hourlyRates;
+
+        try {
+            Quotes.quotes = {};
+            const quotedAt = new Date('2025-01-02T12:00:00Z');
+            const bookedAt = new Date('2025-01-03T12:00:00Z');
+            const request = { serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend' };
+            const saved = Quotes.create(request, 'retail', quotedAt);
+
+            // A rate increase after quoting doesn't touch a locked quote
+            Engine.hourlyRates = JSON.parse(JSON.stringify(previousRates));
+            Engine.hourlyRates.sedan.totalStandard = 110;
+            const unchanged = Quotes.convertToBooking(saved.quoteId, Object.assign({}, request, { hours: '4' }), 'retail', bookedAt);
+            this.recordResult('Quote Booking', 'Unchanged trip keeps the quoted total after a rate change', 400, unchanged.total);
+            this.recordResult('Quote Booking', 'Unchanged trip is price-locked', true, unchanged.locked);
+
+            const changed = Quotes.convertToBooking(saved.quoteId, Object.assign({}, request, { hours: 5 }), 'retail', bookedAt);
+            this.recordResult('Quote Booking', 'Changed trip is re-quoted', 550, changed.total);
+            this.recordResult('Quote Booking', 'Re-quote diff names the changed field', 'hours', changed.diff.changes.map(change => change.field).join(','));
+            this.recordResult('Quote Booking', 'Re-quote diff shows the price difference', 150, changed.diff.difference);
+            this.recordResult('Quote Booking', 'Repriced lines matched across hour changes', '{"item":"Base Vehicle Rate","from":240,"to":300}',
+                JSON.stringify(changed.diff.lines[0]));
+            this.recordResult('Quote Booking', 'Changed trip reason names the fields for a new quote', `The trip changed since quote ${saved.quoteId} (hours)`,
+                Quotes.getUnlockedReason(changed));
+
+            const expired = Quotes.convertToBooking(saved.quoteId, request, 'retail', new Date('2025-01-06T12:00:00Z'));
+            this.recordResult('Quote Booking', 'Expired quote is re-priced at current rates', 'expired 440', `${expired.reason} ${expired.total}`);
+
+            const unavailable = Quotes.convertToBooking(saved.quoteId, Object.assign({}, request, { passengers: 6 }), 'retail', bookedAt);
+            this.recordResult('Quote Booking', 'Trip that no longer fits the vehicle cannot be booked', false, unavailable.success);
+            this.recordResult('Quote Booking', 'Unknown quote cannot be booked', false, Quotes.convertToBooking('TNT-Q-MISSING', request, 'retail', bookedAt).success);
+        } finally {
+            Quotes.quotes = previousQuotes;
+            Engine.hourlyRates = previousRates;
+        }
+    }
+
+    /**
+     * Booking lifecycle: allowed state moves, re-priced modifications with history, and driver portal updates
+     */
+    testBookingLifecycle() {
+        const previousBookings = Bookings.bookings;
+
+        try {
+            Bookings.bookings = {};
+            const request = this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend' });
+            const booking = Bookings.create({ request: request, platform: 'retail', quote: Engine.quote(request, 'retail') }).booking;
+            this.recordResult('Booking Lifecycle', 'New booking awaits dispatch confirmation', 'requested', booking.status);
+            this.recordResult('Booking Lifecycle', 'Booking cannot start mid-trip', false,
+                Bookings.create({ request: request, quote: Engine.quote(request, 'retail'), status: 'en-route' }).success);
+
+            this.recordResult('Booking Lifecycle', 'Unconfirmed booking cannot be dispatched', false, Bookings.transition(booking.id, 'en-route').success);
+            Bookings.transition(booking.id, 'confirmed', { by: 'Dispatch' });
+            this.recordResult('Booking Lifecycle', 'Assignment needs a driver', false, Bookings.transition(booking.id, 'assigned').success);
+            Bookings.transition(booking.id, 'assigned', { driver: 'J. Smith', vehicleUnit: '04' });
+            this.recordResult('Booking Lifecycle', 'Driver recorded on assignment', 'J. Smith', booking.assignment.driver);
+
+            const longer = Bookings.modify(booking.id, { hours: 6 }, { by: 'Dispatch', note: 'Client extended' });
+            this.recordResult('Booking Lifecycle', 'Modified trip is re-priced', 540, booking.total);
+            this.recordResult('Booking Lifecycle', 'Modification records the price difference', 140, longer.modification.difference);
+            this.recordResult('Booking Lifecycle', 'Unchanged modification is not recorded', null, Bookings.modify(booking.id, { hours: '6' }).modification);
+            this.recordResult('Booking Lifecycle', 'Same vehicle stays assigned', 'assigned', booking.status);
+
+            Bookings.modify(booking.id, { vehicleType: 'stretch-limo' });
+            this.recordResult('Booking Lifecycle', 'Vehicle change sends the booking back for reassignment', 'confirmed', booking.status);
+            this.recordResult('Booking Lifecycle', 'Invalid modification leaves the booking unchanged', false,
+                Bookings.modify(booking.id, { vehicleType: 'hovercraft' }).success);
+
+            const sync = new PortalSync();
+            Bookings.transition(booking.id, 'assigned', { driver: 'J. Smith', vehicleUnit: '03' });
+            Bookings.setTripId(booking.id, 'TRIP-1001');
+            this.recordResult('Booking Lifecycle', 'Driver portal status moves the booking', 'en-route', sync.applyTripStatus('TRIP-1001', 'EN_ROUTE').booking.status);
+            this.recordResult('Booking Lifecycle', 'Driver portal cannot skip states', false, sync.applyTripStatus('TRIP-1001', 'completed').success);
+            this.recordResult('Booking Lifecycle', 'Trips in motion cannot be modified', false, Bookings.modify(booking.id, { hours: 8 }).success);
+
+            ['on_location', 'in_progress', 'completed'].forEach(status => sync.applyTripStatus('TRIP-1001', status));
+            this.recordResult('Booking Lifecycle', 'Completed trip accepts no further moves', 0, Bookings.getAllowedTransitions(booking.id).length);
+            this.recordResult('Booking Lifecycle', 'History records every status change', 'requested,confirmed,assigned,confirmed,assigned,en-route,on-location,in-progress,completed',
+                booking.history.map(entry => entry.to).join(','));
+            this.recordResult('Booking Lifecycle', 'Modification history kept', 2, booking.modifications.length);
+            this.recordResult('Booking Lifecycle', 'Completed booking cannot be cancelled', false, Bookings.cancel(booking.id).success);
+            this.recordResult('Booking Lifecycle', 'Unlinked portal trip rejected', false, sync.applyTripStatus('TRIP-9999', 'completed').success);
+        } finally {
+            Bookings.bookings = previousBookings;
+        }
+    }
+
+    /**
+     * Cancellation and no-show fees: windows by vehicle class, platform overrides, and fees charged on bookings
+     */
+    testCancellationFees() {
+        const previousBookings = Bookings.bookings;
+        const sedan = { vehicleType: 'sedan', serviceDate: '2025-03-15', serviceTime: '18:00' };
+        const hoursBefore = hours => new Date(new Date('2025-03-15T18:00:00').getTime() - hours * 60 * 60 * 1000);
+
+        this.recordResult('Cancellation Fees', 'Sedan cancelled 3 days out is free', 0, Engine.getCancellationFee(sedan, 400, 'retail', hoursBefore(72)).amount);
+        this.recordResult('Cancellation Fees', 'Sedan cancelled 30 hours out pays 25%', 100, Engine.getCancellationFee(sedan, 400, 'retail', hoursBefore(30)).amount);
+        this.recordResult('Cancellation Fees', 'Sedan cancelled 10 hours out pays 50%', 200, Engine.getCancellationFee(sedan, 400, 'retail', hoursBefore(10)).amount);
+        this.recordResult('Cancellation Fees', 'Cancelling after pickup falls in the last window', 0.5, Engine.getCancellationFee(sedan, 400, 'retail', hoursBefore(-2)).percent);
+        this.recordResult('Cancellation Fees', 'Groundspan sedan cancelled 10 hours out is free', 0, Engine.getCancellationFee(sedan, 400, 'groundspan', hoursBefore(10)).amount);
+        this.recordResult('Cancellation Fees', 'Limo bus cancelled 12 hours out pays 50%', 0.5,
+            Engine.getCancellationFee(Object.assign({}, sedan, { vehicleType: 'limo-bus' }), 832, 'gnet', hoursBefore(12)).percent);
+        this.recordResult('Cancellation Fees', 'Mini bus cancelled the day before pays in full', 1,
+            Engine.getCancellationFee(Object.assign({}, sedan, { vehicleType: 'executive-mini-bus' }), 600, 'corporate', hoursBefore(12)).percent);
+        this.recordResult('Cancellation Fees', 'No-show pays in full', 400, Engine.getCancellationFee(sedan, 400, 'retail', hoursBefore(-1), true).amount);
+        this.recordResult('Cancellation Fees', 'Sedan terms listed for the booking page',
+            'Free cancellation 48+ hours before pickup|25% fee 24-48 hours before pickup|50% fee within 24 hours of pickup|No-show: 100% of the trip',
+            Engine.getCancellationTerms('sedan', 'retail').join('|'));
+
+        try {
+            Bookings.bookings = {};
+            const request = this.withQuoteDate(Object.assign({ serviceType: 'hourly', hours: 4, dayType: 'weekend' }, sedan));
+            const booking = Bookings.create({ request: request, platform: 'retail', quote: Engine.quote(request, 'retail') }).booking;
+            this.recordResult('Cancellation Fees', 'Preview quotes the fee without cancelling', 100, Bookings.previewCancellation(booking.id, hoursBefore(30)).fee.amount);
+            this.recordResult('Cancellation Fees', 'Preview leaves the booking open', 'requested', booking.status);
+            Bookings.cancel(booking.id, { by: 'Customer' }, hoursBefore(30));
+            this.recordResult('Cancellation Fees', 'Cancelled booking records its fee', 100, booking.cancellation.amount);
+            this.recordResult('Cancellation Fees', 'Cancelled booking cannot be previewed again', false, Bookings.previewCancellation(booking.id).success);
+
+            const waived = Bookings.create({ request: request, platform: 'retail', quote: Engine.quote(request, 'retail') }).booking;
+            Bookings.cancel(waived.id, { by: 'Customer booking page', waiveFee: true }, hoursBefore(12));
+            this.recordResult('Cancellation Fees', 'Waived cancellation charges nothing', 0, waived.cancellation.amount);
+
+            const noShow = Bookings.create({ request: request, platform: 'retail', quote: Engine.quote(request, 'retail'), status: 'confirmed' }).booking;
+            ['assigned', 'en-route', 'on-location', 'no-show'].forEach(status => Bookings.transition(noShow.id, status, { driver: 'J. Smith' }, hoursBefore(-1)));
+            this.recordResult('Cancellation Fees', 'No-show booking charged the full trip', noShow.total, noShow.cancellation.amount);
+        } finally {
+            Bookings.bookings = previousBookings;
+        }
+    }
+
+    /**
+     * Payment schedules: deposits by vehicle class, Net 30 and monthly billing by platform, amounts already paid
+     */
+    testPaymentSchedules() {
+        const previousBookings = Bookings.bookings;
+        const wedding = { vehicleType: 'limo-bus', serviceDate: '2025-06-21', serviceTime: '15:00' };
+        const bookedAt = new Date('2025-03-01T10:00:00');
+
+        const deposit = Engine.getPaymentSchedule(wedding, 832, 'retail', bookedAt);
+        this.recordResult('Payment Schedules', 'Limo bus takes a 50% deposit at booking', 416, deposit.installments[0].amount);
+        this.recordResult('Payment Schedules', 'Deposit due on the booking date', '2025-03-01', deposit.installments[0].dueDate);
+        this.recordResult('Payment Schedules', 'Limo bus balance due 14 days before service', '2025-06-07', deposit.installments[1].dueDate);
+        this.recordResult('Payment Schedules', 'Stretch limo uses the limousine deposit', '50% Deposit',
+            Engine.getPaymentSchedule(Object.assign({}, wedding, { vehicleType: 'stretch-limo' }), 600, 'gnet', bookedAt).name);
+        this.recordResult('Payment Schedules', 'Van balance due 7 days before service', '2025-06-14',
+            Engine.getPaymentSchedule(Object.assign({}, wedding, { vehicleType: 'transit' }), 500, 'retail', bookedAt).installments[1].dueDate);
+        this.recordResult('Payment Schedules', 'Booking inside the balance window pays in full', 'Payment in full',
+            Engine.getPaymentSchedule(wedding, 832, 'retail', new Date('2025-06-15T10:00:00')).installments.map(installment => installment.label).join(','));
+
+        const net = Engine.getPaymentSchedule(wedding, 832, 'corporate', bookedAt);
+        this.recordResult('Payment Schedules', 'Corporate trips invoiced Net 30', 'Net 30 Terms', net.name);
+        this.recordResult('Payment Schedules', 'Net 30 invoice due 30 days after service', '2025-07-21', net.installments[0].dueDate);
+        const monthly = Engine.getPaymentSchedule(wedding, 832, 'groundspan', bookedAt);
+        this.recordResult('Payment Schedules', 'Groundspan trips billed monthly', 'Monthly Corporate Billing', monthly.name);
+        this.recordResult('Payment Schedules', 'Monthly statement due 15 days after the next statement', '2025-07-16', monthly.installments[0].dueDate);
+
+        const credited = Engine.getPaymentSchedule(Object.assign({}, wedding, { vehicleType: 'sedan' }), 400, 'retail', bookedAt, 100);
+        this.recordResult('Payment Schedules', 'Amount paid covers the deposit first', '0,300', credited.installments.map(installment => installment.amountDue).join(','));
+        this.recordResult('Payment Schedules', 'Amount due net of payments', 300, credited.amountDue);
+
+        try {
+            Bookings.bookings = {};
+            const request = this.withQuoteDate({ serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', serviceDate: '2025-06-21', serviceTime: '15:00' });
+            const booking = Bookings.create({ request: request, platform: 'retail', quote: Engine.quote(request, 'retail'), paid: 50 }, bookedAt).booking;
+            this.recordResult('Payment Schedules', 'Booking keeps its payment schedule', 80, booking.paymentSchedule.installments[0].amount);
+            Bookings.modify(booking.id, { hours: 6 }, {}, new Date('2025-03-05T10:00:00'));
+            this.recordResult('Payment Schedules', 'Modified booking rescheduled for the new total', 108, booking.paymentSchedule.installments[0].amount);
+            this.recordResult('Payment Schedules', 'Rescheduled deposit still dated at booking', '2025-03-01', booking.paymentSchedule.installments[0].dueDate);
+            this.recordResult('Payment Schedules', 'Rescheduled booking keeps amounts paid', 50, booking.paymentSchedule.paid);
+        } finally {
+            Bookings.bookings = previousBookings;
+        }
+    }
+
+    /**
+     * Rate card validation: the published card is the one quoted from, broken cards are rejected
+     */
+    testRateCardValidation() {
+        const card = this.readPublishedRateCard();
+        if (!card) return;
+
+        this.recordResult('Rate Card', 'Published rate card is valid', true, RateCardLoader.validate(card).valid);
+        this.recordResult('Rate Card', 'Quotes priced from the published rate card', card.version, Engine.rateCard?.version);
+        this.recordResult('Rate Card', 'Airport rates taken from the published rate card',
+            JSON.stringify(card.airportZones.rates), JSON.stringify(Engine.zonePricing.rates));
+
+        const brokenCards = [
+            { description: 'Missing vehicle rejected', mutate: broken => delete broken.pointToPoint.transit },
+            { description: 'Negative amount rejected', mutate: broken => { broken.airportZones.rates.sedan['central-virginia'].ric = -105; } },
+            { description: 'Components not summing to totalStandard rejected', mutate: broken => { broken.hourly.sedan.baseRate = 65; } },
+            { description: 'Unsupported schema version rejected', mutate: broken => { broken.schemaVersion = 99; } },
+            { description: 'Unknown airport rejected', mutate: broken => { broken.airportZones.rates.sedan['central-virginia'].orf = 300; } },
+            { description: 'Pricing window ending before it starts rejected', mutate: broken => { broken.pricingWindows = [{ name: 'Prom Season', start: '2025-05-31', end: '2025-04-25', adjustment: { type: 'percent', amount: 0.15 } }]; } },
+            { description: 'Zone area for an unknown zone rejected', mutate: broken => { broken.airportZones.zoneAreas.williamsburg = { zips: ['23185'] }; } },
+            { description: 'Route cost with an unknown type rejected', mutate: broken => { broken.airportZones.routeCosts.dca.push({ item: 'Valet', type: 'valet', amount: 20 }); } },
+            { description: 'Staged vehicle at an unknown location rejected', mutate: broken => { broken.deadheadPolicy.stagedVehicles.push({ name: 'Roanoke lot', location: 'roanoke' }); } },
+            { description: 'Staged vehicle for an unknown platform rejected', mutate: broken => { broken.deadheadPolicy.stagedVehicles[1].platforms = ['uber']; } },
+            { description: 'Cancellation windows without a late window rejected', mutate: broken => { broken.cancellationPolicy.classes.sedan = [{ hoursBefore: 48, percent: 0 }]; } },
+            { description: 'Cancellation fee above 100% rejected', mutate: broken => { broken.cancellationPolicy.platforms.groundspan.van[1].percent = 50; } },
+            { description: 'Net terms on a vehicle class rejected', mutate: broken => { broken.paymentPolicy.classes.sedan = { type: 'net', netDays: 30 }; } },
+            { description: 'Monthly billing without a statement day rejected', mutate: broken => { delete broken.paymentPolicy.platforms.groundspan.statementDay; } },
+            { description: 'Vehicle missing from the fleet catalog rejected', mutate: broken => { broken.vehicles.push('hovercraft'); } },
+            { description: 'Local holiday ending before it starts rejected', mutate: broken => { broken.localHolidays = [{ name: 'Prom Weekend', start: '2025-05-18', end: '2025-05-16' }]; } },
+            { description: 'Local holiday without a name rejected', mutate: broken => { broken.localHolidays = [{ start: '2025-05-17' }]; } },
+            { description: 'Promo code above 100% rejected', mutate: broken => { broken.promoCodes = [{ code: 'HALFOFF', type: 'percent', value: 50 }]; } },
+            { description: 'Card without a deadhead policy rejected', mutate: broken => { delete broken.deadheadPolicy; } },
+            { description: 'Card without a payment policy rejected', mutate: broken => { delete broken.paymentPolicy; } },
+            { description: 'Card without airport pickup fees rejected', mutate: broken => { delete broken.airportZones.pickupFees; } },
+            { description: 'Card without a premium GNET commission rejected', mutate: broken => { delete broken.gnetCommission.premium; } }
+        ];
+
+        brokenCards.forEach(testCase => {
+            const broken = JSON.parse(JSON.stringify(card));
+            testCase.mutate(broken);
+            this.recordResult('Rate Card', testCase.description, false, RateCardLoader.validate(broken).valid);
+        });
+    }
+
+    /**
+     * Effective-dated rate cards: future service dates are priced with the card in effect that day
+     */
+    testRateSchedule() {
+        const card = this.readPublishedRateCard();
+        if (!card) return;
+
+        const snapshot = RateCardLoader.snapshot();
+        const previousSchedule = RateCardLoader.schedule;
+        const previousResolver = Engine.rateSchedule;
+        const previousScheduledCards = RateCardLoader.scheduledCards;
+        const today = new Date('2025-10-15T12:00:00');
+
+        try {
+            RateCardLoader.scheduledCards = [];
+            RateCardLoader.loadSchedule([card], today);
+            const scheduled = RateCardLoader.scheduleChange('2025-11-01', futureCard => {
+                futureCard.hourly.sedan.fuelSurcharge = 15;
+                futureCard.hourly.sedan.totalStandard = 105;
+            }, today);
+            this.recordResult('Rate Schedule', 'Future fuel surcharge increase scheduled', true, scheduled.success);
+
+            const sedanQuote = serviceDate => Engine.quote({ serviceType: 'hourly', vehicleType: 'sedan', hours: 4, dayType: 'weekend', serviceDate: serviceDate, quoteDate: '2025-10-01' }, 'retail');
+            this.recordResult('Rate Schedule', 'Service before change uses current card', 400, sedanQuote('2025-10-31').total);
+            this.recordResult('Rate Schedule', 'Service after change uses scheduled card', 420, sedanQuote('2025-11-01').total);
+            this.recordResult('Rate Schedule', 'Quote reports rate card version used', '2025.11.01', sedanQuote('2025-11-15').rateCardVersion);
+            this.recordResult('Rate Schedule', 'Current tables unchanged after future quote', 100, Engine.hourlyRates.sedan.totalStandard);
+
+            RateCardLoader.loadSchedule([card], today);
+            this.recordResult('Rate Schedule', 'Scheduled change kept when the published schedule reloads', '2025.1|2025.11.01',
+                RateCardLoader.schedule.map(scheduledCard => scheduledCard.version).join('|'));
+            RateCardLoader.scheduleChange('2025-11-01', futureCard => {
+                futureCard.hourly.sedan.fuelSurcharge = 20;
+                futureCard.hourly.sedan.totalStandard = 110;
+            }, today);
+            this.recordResult('Rate Schedule', 'Rescheduling a date replaces the saved change', 440, sedanQuote('2025-11-01').total);
+            this.recordResult('Rate Schedule', 'Scheduled card ends a bounded published card the day before', '2025-10-31',
+                RateCardLoader.mergeScheduledCards([Object.assign({}, card, { effectiveTo: '2025-12-31' })])[0].effectiveTo);
+            RateCardLoader.scheduledCards = [];
+
+            const promCard = Object.assign(JSON.parse(JSON.stringify(card)), { localHolidays: [{ name: 'Prom Weekend', start: '2025-05-16', end: '2025-05-18' }] });
+            RateCardLoader.loadSchedule([promCard], today);
+            this.recordResult('Rate Schedule', 'Local holidays loaded from the rate card', 'Prom Weekend', Engine.holidayCalendar.getHoliday('2025-05-17'));
+            RateCardLoader.loadSchedule([card], today);
+            this.recordResult('Rate Schedule', 'Local holidays cleared by a card without them', null, Engine.holidayCalendar.getHoliday('2025-05-17'));
+
+            const overlapping = JSON.parse(JSON.stringify(card));
+            overlapping.version = '2025.2';
+            overlapping.effectiveFrom = '2025-06-01';
+            const bounded = Object.assign({}, card, { effectiveTo: '2025-12-31' });
+            const rejected = RateCardLoader.loadSchedule([bounded, overlapping], today);
+            this.recordResult('Rate Schedule', 'Overlapping effective periods rejected', false, rejected.success);
+            this.recordResult('Rate Schedule', 'Rejected schedule returns its errors', '2025.1 (to 2025-12-31) overlaps 2025.2 (from 2025-06-01)',
+                rejected.errors.join('; '));
+
+            // Splitting a card must end it the day before the change in any time zone (Node.js only)
+            if (typeof process !== 'undefined' && process.env) {
+                const previousTimeZone = process.env.TZ;
+                try {
+                    process.env.TZ = 'America/New_York';
+                    RateCardLoader.loadSchedule([bounded], today);
+                    RateCardLoader.scheduleChange('2025-06-01', summerCard => { summerCard.hourly.sedan.totalStandard = 105; summerCard.hourly.sedan.fuelSurcharge = 15; }, today);
+                    this.recordResult('Rate Schedule', 'Split card ends the day before the change outside UTC', '2025-05-31',
+                        RateCardLoader.schedule[0].effectiveTo);
+                    this.recordResult('Rate Schedule', 'Day before the change still has a rate card outside UTC', card.version,
+                        RateCardLoader.getCardForDate('2025-05-31')?.version);
+                } finally {
+                    if (previousTimeZone === undefined) {
+                        delete process.env.TZ;
+                    } else {
+                        process.env.TZ = previousTimeZone;
+                    }
+                }
+            }
+        } finally {
+            RateCardLoader.restore(snapshot);
+            RateCardLoader.scheduledCards = previousScheduledCards;
+            RateCardLoader.schedule = previousSchedule;
+            Engine.rateSchedule = previousResolver;
+        }
+    }
+
+    /**
+     * Apply the published rate card, as the quote pages do before quoting; the engine has no rates without it
+     */
+    loadPublishedRateCard() {
+        if (Engine.rateCard) return;
+        const card = this.readPublishedRateCard();
+        if (card) {
+            RateCardLoader.loadSchedule([card], new Date(this.quoteDate));
+        }
+    }
+
+    readPublishedRateCard() {
+        try {
+            return require('./data/rate-card.json');
+        } catch (error) {
+            this.criticalIssues.push({
+                test: 'Rate Card',
+                case: 'Read data/rate-card.json',
+                issue: `Rate card could not be read: ${error.message}`,
+                severity: 'CRITICAL'
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Quote each case on a platform and compare totals
+     */
+    runQuoteCases(testName, testCases, platform) {
+        testCases.forEach(testCase => {
+            try {
+                const quote = Engine.quote(this.withQuoteDate(testCase.request), platform);
+                const actual = quote.success ? this.round(quote.total) : null;
+                this.recordResult(testName, testCase.description, testCase.expected, actual);
+            } catch (error) {
+                this.criticalIssues.push({
+                    test: testName,
+                    case: testCase.description,
+                    issue: `Quote calculation failed: ${error.message}`,
+                    severity: 'CRITICAL'
+                });
+            }
+        });
+    }
+
+    recordResult(testName, description, expected, actual) {
+        if (actual === expected) {
+            this.testResults.push({
+                test: testName,
+                case: description,
+                status: 'PASS',
+                expected: expected,
+                actual: actual
+            });
+        } else {
+            this.pricingDiscrepancies.push({
+                test: testName,
+                case: description,
+                expected: expected,
+                actual: actual
+            });
+        }
+    }
+
+    withQuoteDate(request) {
+        return Object.assign({ quoteDate: this.quoteDate }, request);
+    }
+
+    round(amount) {
+        return typeof amount === 'number' ? Math.round(amount * 100) / 100 : amount;
+    }
+
+    /**
+     * Generate test report
+     */
+    generateTestReport() {
+        const totalTests = this.testResults.length + this.pricingDiscrepancies.length;
+        const passedTests = this.testResults.length;
+
+        console.log('\n=== TNT PRICING ENGINE TEST REPORT ===');
+        console.log(`Total Tests: ${totalTests}`);
+        console.log(`Passed: ${passedTests}`);
+        console.log(`Failed: ${totalTests - passedTests}`);
+        console.log(`Critical Issues: ${this.criticalIssues.length}`);
+
+        this.pricingDiscrepancies.forEach(discrepancy => {
+            console.log(`[FAIL] ${discrepancy.test}: ${discrepancy.case}`);
+            console.log(`   Expected: ${discrepancy.expected}, Actual: ${discrepancy.actual}`);
+        });
+
+        return {
+            totalTests,
+            passedTests,
+            criticalIssues: this.criticalIssues,
+            pricingDiscrepancies: this.pricingDiscrepancies,
+            deploymentReady: this.pricingDiscrepancies.length === 0 && this.criticalIssues.length === 0
+        };
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEngineTester;
+} else {
+    window.PricingEngineTester = PricingEngineTester;
+}